@@ -0,0 +1,135 @@
+// Authentication helpers: password hashing, signed session tokens (JWT) and Express middleware
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+// scrypt runs on the libuv thread pool, so hashing never blocks the event loop
+const scrypt = promisify(crypto.scrypt);
+
+// Token lifetime (any jsonwebtoken duration, e.g. '7d', '12h')
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+// Emails that get the admin role when they register or log in
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Hash a password with scrypt and a random salt; resolves with "scrypt$<salt>$<hash>"
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+/**
+ * Check a password against a stored scrypt hash (constant-time comparison); resolves with a boolean
+ */
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Role a user should hold, given their email (admins come from ADMIN_EMAILS)
+ */
+const roleForEmail = (email) => ADMIN_EMAILS.includes((email || '').toLowerCase()) ? 'admin' : 'user';
+
+/**
+ * Sign a session token for a user
+ */
+const signToken = (user) => jwt.sign(
+    { role: user.role || 'user' },
+    process.env.JWT_SECRET,
+    { subject: user.userId, expiresIn: TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Create the Express middleware that authenticates requests against the users repository
+ */
+const createAuthMiddleware = (users) => {
+    // Resolve the user behind a Bearer token; returns { user } or { error }
+    const resolveUser = (req) => {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return { error: 'Missing Bearer token' };
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            return { error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' };
+        }
+
+        // The account may have been removed since the token was issued
+        const user = users.get(payload.sub);
+        if (!user) {
+            return { error: 'Account no longer exists' };
+        }
+
+        return { user };
+    };
+
+    // Require a valid token; sets req.user
+    const authenticate = (req, res, next) => {
+        const { user, error } = resolveUser(req);
+        if (error) {
+            // Return 401 Unauthorized for missing or invalid tokens
+            return res.status(401).json({ error: error });
+        }
+
+        req.user = user;
+        next();
+    };
+
+    // Accept anonymous requests, but reject bad tokens; sets req.user when a token is sent
+    const optionalAuthenticate = (req, res, next) => {
+        if (!req.headers.authorization) {
+            req.user = null;
+            return next();
+        }
+
+        authenticate(req, res, next);
+    };
+
+    // Require the admin role (use after authenticate)
+    const requireAdmin = (req, res, next) => {
+        if (req.user?.role !== 'admin') {
+            // Return 403 Forbidden for non-admins
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        next();
+    };
+
+    // Require the caller to own the :userId in the path, or be an admin (use after authenticate)
+    const requireAccountOwner = (req, res, next) => {
+        if (req.user?.userId !== req.params.userId && req.user?.role !== 'admin') {
+            // Return 403 Forbidden for someone else's account
+            return res.status(403).json({ error: 'You can only access your own account' });
+        }
+
+        next();
+    };
+
+    return { authenticate, optionalAuthenticate, requireAdmin, requireAccountOwner };
+};
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    roleForEmail,
+    signToken,
+    createAuthMiddleware
+};
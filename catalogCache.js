@@ -0,0 +1,80 @@
+// In-memory cache for Cloudinary catalog lookups (video pages, search results, playlist videos)
+
+const { logger } = require('./logger');
+
+// Most entries kept at once; the oldest entry is dropped first
+const MAX_ENTRIES = 500;
+
+/**
+ * Create a cache whose entries are fresh for ttlSeconds and then served stale for up to staleSeconds
+ * more while a single background refresh runs (stale-while-revalidate). Set both to 0 to disable it.
+ */
+const createCatalogCache = ({ ttlSeconds = 60, staleSeconds = 300 } = {}) => {
+    // Cached values by key: { value, fetchedAt }
+    const entries = new Map();
+
+    // Loads in progress by key, so concurrent misses share one Cloudinary call
+    const loading = new Map();
+
+    // Bumped on clear() so loads started before it never write stale data back
+    let generation = 0;
+
+    // Load a value and store it, sharing the promise with concurrent callers
+    const load = (key, loader) => {
+        if (loading.has(key)) {
+            return loading.get(key);
+        }
+
+        const startedIn = generation;
+        const promise = Promise.resolve()
+            .then(loader)
+            .then((value) => {
+                if (startedIn === generation) {
+                    // Re-insert so the most recently loaded entries are evicted last
+                    entries.delete(key);
+                    entries.set(key, { value, fetchedAt: Date.now() });
+                    if (entries.size > MAX_ENTRIES) {
+                        entries.delete(entries.keys().next().value);
+                    }
+                }
+                return value;
+            })
+            .finally(() => {
+                if (loading.get(key) === promise) {
+                    loading.delete(key);
+                }
+            });
+
+        loading.set(key, promise);
+        return promise;
+    };
+
+    return {
+        // Get a value: fresh from cache, stale from cache (refreshing in the background), or loaded now
+        get: async (key, loader) => {
+            const entry = entries.get(key);
+            const age = entry ? (Date.now() - entry.fetchedAt) / 1000 : Infinity;
+
+            if (age < ttlSeconds) {
+                return entry.value;
+            }
+
+            if (age < ttlSeconds + staleSeconds) {
+                // A failed background refresh keeps the stale value until the next attempt
+                load(key, loader).catch(error => logger.error('Catalog cache refresh failed', { key, error }));
+                return entry.value;
+            }
+
+            return load(key, loader);
+        },
+
+        // Drop every entry (the catalog changed)
+        clear: () => {
+            generation += 1;
+            entries.clear();
+            loading.clear();
+        }
+    };
+};
+
+module.exports = { createCatalogCache };
@@ -1,5 +1,7 @@
 require("dotenv").config();
 const cloudinary = require("cloudinary").v2;
+const { logger } = require("./logger");
+const { cloudinaryRequestDuration, timeAsync } = require("./metrics");
 
 // Configure Cloudinary
 cloudinary.config({
@@ -8,22 +10,256 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// Supported sort options mapped to Cloudinary search fields
+const SORT_OPTIONS = {
+  newest: ["created_at", "desc"], // Most recent uploads first
+  duration: ["duration", "asc"], // Shortest videos first
+  name: ["filename", "asc"], // Alphabetical by filename
+};
+
+// Page size limits for video listings
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Search conditions for videos the public may see: approved videos only, so anything added outside
+// the upload endpoint (the Cloudinary console, older uploads) stays hidden until an admin approves it
+// (scripts/approve-existing-videos.js approves videos that predate moderation)
+const PUBLIC_VIDEO_CONDITIONS = ["resource_type:video", "moderation_status=approved"];
+
+// Text search: longest query read, most words used, and the fields each word is looked up in
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 5;
+const TEXT_SEARCH_FIELDS = ["filename", "tags", "context.title", "context.description", "context.categories"];
+
+// Moderation states of the upload queue
+const MODERATION_STATUSES = ["pending", "approved", "rejected"];
+
+// Asset folder new uploads go into
+const UPLOAD_FOLDER = process.env.CLOUDINARY_UPLOAD_FOLDER || "kidtok";
+
+/**
+ * Run a Cloudinary API call, recording its duration under the given operation name
+ */
+const timeCloudinaryCall = (operation, call) => timeAsync(cloudinaryRequestDuration, { operation }, call);
+
+/**
+ * Quote a value for a Cloudinary search expression so it is matched literally
+ */
+const quoteSearchValue = (value) =>
+  `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * Clamp a requested page size to what we allow per request
+ */
+const clampPageSize = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/**
+ * Split free text into lowercase search words, cut down to letters and digits so user input can
+ * never add operators, fields, quotes or wildcards of its own
+ */
+const parseSearchTerms = (text) =>
+  String(text)
+    .slice(0, MAX_QUERY_LENGTH)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_TERMS);
+
+/**
+ * Turn free text into a search condition where every word must prefix-match a filename, tag or
+ * title/description/category. Returns null when no word is left.
+ */
+const buildTextSearchCondition = (text) => {
+  const terms = parseSearchTerms(text);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .map((term) => `(${TEXT_SEARCH_FIELDS.map((field) => `${field}:${term}*`).join(" OR ")})`)
+    .join(" AND ");
+};
+
+/**
+ * List one page of videos with the Cloudinary Search API, optionally narrowed by a text search.
+ * Returns the raw resources plus the cursor for the next page (null on the last page).
+ */
+const listVideos = async ({ limit, cursor, sort = "newest", folder, tag, text } = {}) => {
+  // Reject unknown sort options
+  if (!SORT_OPTIONS[sort]) {
+    const error = new Error(`Invalid sort "${sort}". Use one of: ${Object.keys(SORT_OPTIONS).join(", ")}`);
+    error.http_code = 400;
+    throw error;
+  }
+
+  // Clamp page size to what we allow per request
+  const pageSize = clampPageSize(limit);
+
+  // Build search expression from the optional filters (approved videos only)
+  const conditions = [...PUBLIC_VIDEO_CONDITIONS];
+  if (folder) {
+    conditions.push(`asset_folder=${quoteSearchValue(folder)}`);
+  }
+  if (tag) {
+    conditions.push(`tags=${quoteSearchValue(tag)}`);
+  }
+  if (text !== undefined) {
+    const textCondition = buildTextSearchCondition(text);
+    if (!textCondition) {
+      const error = new Error("Search query must contain letters or digits");
+      error.http_code = 400;
+      throw error;
+    }
+    conditions.push(textCondition);
+  }
+
+  const [sortField, sortDirection] = SORT_OPTIONS[sort];
+
+  const search = cloudinary.search
+    .expression(conditions.join(" AND "))
+    .sort_by(sortField, sortDirection)
+    .max_results(pageSize)
+    .with_field("tags") // Include tags (premium marker)
+    .with_field("context") // Include context metadata (age rating, categories)
+    .with_field("metadata"); // Include structured metadata (age rating, categories)
+
+  // Continue from the previous page when a cursor is given
+  if (cursor) {
+    search.next_cursor(cursor);
+  }
+
+  const result = await timeCloudinaryCall("search", () => search.execute());
+
+  return {
+    resources: result.resources || [],
+    nextCursor: result.next_cursor || null,
+    totalCount: result.total_count ?? null,
+  };
+};
+
+/**
+ * Look up several videos by public ID in one search (up to one page), in no particular order.
+ * Only approved videos are returned unless includeUnapproved is set.
+ */
+const findVideosByIds = async (publicIds, { includeUnapproved = false } = {}) => {
+  if (publicIds.length === 0) {
+    return [];
+  }
+
+  const conditions = includeUnapproved ? ["resource_type:video"] : [...PUBLIC_VIDEO_CONDITIONS];
+  conditions.push(`(${publicIds.map((id) => `public_id=${quoteSearchValue(id)}`).join(" OR ")})`);
+
+  const search = cloudinary.search
+    .expression(conditions.join(" AND "))
+    .max_results(MAX_PAGE_SIZE)
+    .with_field("tags") // Include tags (premium marker)
+    .with_field("context") // Include context metadata (age rating, categories)
+    .with_field("metadata"); // Include structured metadata (age rating, categories)
+
+  const result = await timeCloudinaryCall("search", () => search.execute());
+
+  return result.resources || [];
+};
+
+/**
+ * Stream a video file to Cloudinary. It starts in the manual moderation queue as "pending".
+ * Resolves with the Cloudinary upload result.
+ */
+const uploadVideo = (fileStream, { tags = [], context = {}, type = "upload" } = {}) =>
+  timeCloudinaryCall("upload", () => new Promise((resolve, reject) => {
+    const upload = cloudinary.uploader.upload_stream(
+      {
+        resource_type: "video",
+        type, // "authenticated" for premium videos
+        asset_folder: UPLOAD_FOLDER,
+        use_asset_folder_as_public_id_prefix: true,
+        tags,
+        context, // Title, description and age rating
+        moderation: "manual", // Hidden from the feed until an admin approves it
+      },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+
+    fileStream.on("error", reject);
+    fileStream.pipe(upload);
+  }));
+
+/**
+ * List one page of uploaded videos in a moderation state (pending, approved or rejected)
+ */
+const listModerationQueue = async ({ status = "pending", limit, cursor } = {}) => {
+  // Clamp page size to what we allow per request
+  const pageSize = clampPageSize(limit);
+
+  const result = await timeCloudinaryCall("resources_by_moderation", () =>
+    cloudinary.api.resources_by_moderation("manual", status, {
+      resource_type: "video",
+      max_results: pageSize,
+      next_cursor: cursor || undefined,
+      tags: true, // Include tags (premium marker)
+      context: true, // Include context metadata (title, age rating)
+      moderations: true, // Include moderation details
+    })
+  );
+
+  return {
+    resources: result.resources || [],
+    nextCursor: result.next_cursor || null,
+  };
+};
+
+/**
+ * Approve or reject an uploaded video and record who decided, when and why
+ */
+const setModerationStatus = async (resource, status, details = {}) => {
+  const options = { resource_type: "video", type: resource.type || "upload" };
+
+  const result = await timeCloudinaryCall("update", () =>
+    cloudinary.api.update(resource.public_id, { ...options, moderation_status: status })
+  );
+
+  // Merge the decision into the existing context instead of replacing it
+  await timeCloudinaryCall("add_context", () => cloudinary.uploader.add_context(details, [resource.public_id], options));
+
+  return result;
+};
+
 /**
  * Fetch all uploaded videos from Cloudinary
  */
-const fetchVideosFromCloudinary = async () => {
+const fetchVideosFromCloudinary = async (options = {}) => {
   try {
-    const response = await cloudinary.api.resources({
-      type: "upload",
-      resource_type: "video", // Fetch only videos
-    });
+    const urls = [];
+    let cursor = null;
+
+    // Walk every page of the listing
+    do {
+      const page = await listVideos({ ...options, limit: MAX_PAGE_SIZE, cursor });
+      urls.push(...page.resources.map((video) => video.secure_url));
+      cursor = page.nextCursor;
+    } while (cursor);
 
-    // Extract and return video URLs
-    return response.resources.map((video) => video.secure_url);
+    // Return video URLs
+    return urls;
   } catch (error) {
-    console.error("Error fetching videos:", error);
+    logger.error("Error fetching videos", { error });
     return [];
   }
 };
 
-module.exports = fetchVideosFromCloudinary; // ✅ Correct export
\ No newline at end of file
+module.exports = fetchVideosFromCloudinary; // ✅ Correct export
+module.exports.listVideos = listVideos;
+module.exports.quoteSearchValue = quoteSearchValue;
+module.exports.timeCloudinaryCall = timeCloudinaryCall;
+module.exports.SORT_OPTIONS = SORT_OPTIONS;
+module.exports.PUBLIC_VIDEO_CONDITIONS = PUBLIC_VIDEO_CONDITIONS;
+module.exports.MODERATION_STATUSES = MODERATION_STATUSES;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+module.exports.UPLOAD_FOLDER = UPLOAD_FOLDER;
+module.exports.clampPageSize = clampPageSize;
+module.exports.parseSearchTerms = parseSearchTerms;
+module.exports.findVideosByIds = findVideosByIds;
+module.exports.uploadVideo = uploadVideo;
+module.exports.listModerationQueue = listModerationQueue;
+module.exports.setModerationStatus = setModerationStatus;
@@ -0,0 +1,65 @@
+// Health checks: probe each dependency with a timeout and cache the results briefly
+
+/**
+ * Run a promise-returning probe, failing it when it takes longer than timeoutMs
+ */
+const withTimeout = (probe, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    return Promise.race([Promise.resolve().then(probe), timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Create the health checker. `checks` maps a dependency name to an async probe that throws
+ * when the dependency is unusable. Results are reused for cacheSeconds so frequent liveness and
+ * readiness polls do not use up the Stripe and Cloudinary API rate limits.
+ */
+const createHealthChecks = ({ checks, timeoutMs = 2000, cacheSeconds = 30 }) => {
+    // Last report and when it was taken
+    let cached = null;
+
+    // Run in progress, shared by concurrent callers
+    let running = null;
+
+    // Probe one dependency: { status: up | down, latencyMs, error }
+    const probe = async (check) => {
+        const startTime = Date.now();
+        try {
+            await withTimeout(check, timeoutMs);
+            return { status: 'up', latencyMs: Date.now() - startTime };
+        } catch (error) {
+            return { status: 'down', latencyMs: Date.now() - startTime, error: error.message || String(error) };
+        }
+    };
+
+    // Probe every dependency in parallel
+    const runAll = async () => {
+        const names = Object.keys(checks);
+        const results = await Promise.all(names.map(name => probe(checks[name])));
+        const report = {
+            status: results.every(result => result.status === 'up') ? 'ok' : 'degraded', // ok | degraded
+            checkedAt: new Date().toISOString(),                // When the probes ran
+            checks: Object.fromEntries(names.map((name, i) => [name, results[i]])) // Result per dependency
+        };
+        cached = { report, takenAt: Date.now() };
+        return report;
+    };
+
+    return {
+        // Get the latest report, probing again when the cached one is too old
+        run: async () => {
+            if (cached && Date.now() - cached.takenAt < cacheSeconds * 1000) {
+                return cached.report;
+            }
+            if (!running) {
+                running = runAll().finally(() => { running = null; });
+            }
+            return running;
+        }
+    };
+};
+
+module.exports = { createHealthChecks };
@@ -0,0 +1,88 @@
+// Structured JSON logging: one JSON object per line, tagged with the ID of the request being handled
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Severity order; lines below LOG_LEVEL (default info) are dropped
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Request IDs accepted from an upstream proxy (anything else is replaced by a fresh one)
+const REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+
+// Per-request context ({ requestId }) that follows the request through callbacks and promises
+const requestContext = new AsyncLocalStorage();
+
+// Reduce an error (Error instance, Stripe/Cloudinary error object or plain message) to loggable fields
+const serializeError = (error) => {
+    if (!error || typeof error !== 'object') {
+        return error;
+    }
+
+    return {
+        name: error.name,                                       // Error class
+        message: error.message,                                 // Error message
+        type: error.type,                                       // Stripe error type
+        code: error.code,                                       // Stripe/system error code
+        statusCode: error.statusCode ?? error.http_code,        // HTTP status from Stripe or Cloudinary
+        stack: error.stack                                      // Stack trace (when available)
+    };
+};
+
+// Write one log line (warnings and errors go to stderr)
+const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < MIN_LEVEL) {
+        return;
+    }
+
+    const entry = {
+        time: new Date().toISOString(),                         // Timestamp
+        level: level,                                           // Severity
+        msg: msg,                                               // Human-readable message
+        requestId: requestContext.getStore()?.requestId,        // Current request (omitted outside requests)
+        ...fields
+    };
+    if ('error' in fields) {
+        entry.error = serializeError(fields.error);
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Express middleware that gives every request an ID (reusing a valid incoming X-Request-Id),
+ * echoes it in the X-Request-Id response header, runs the rest of the request inside its
+ * logging context and logs one line when the response is finished. Requests to `quietPaths`
+ * (health checks, metrics scrapes) are logged at debug level.
+ */
+const requestLogging = ({ quietPaths = [] } = {}) => (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+    const startTime = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const level = quietPaths.includes(req.path) ? 'debug' : res.statusCode >= 500 ? 'error' : 'info';
+        requestContext.run({ requestId }, () => logger[level]('Request completed', {
+            method: req.method,                                 // HTTP method
+            path: req.originalUrl.split('?')[0],                // Path without the query string (may hold personal data)
+            status: res.statusCode,                             // Response status
+            durationMs: Math.round(Number(process.hrtime.bigint() - startTime) / 1e3) / 1e3, // Time to send the response
+            userId: req.user?.userId                            // Authenticated caller (omitted when anonymous)
+        }));
+    });
+
+    requestContext.run({ requestId }, next);
+};
+
+module.exports = { logger, requestLogging };
@@ -0,0 +1,167 @@
+// In-memory Prometheus metrics, rendered in the text exposition format served by /metrics
+
+// Histogram buckets in seconds (5ms up to 10s)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Escape a label value for the exposition format
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// Render a label set as {name="value",...} ('' when there are no labels)
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0
+        ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+        : '';
+};
+
+/**
+ * Create a counter; every distinct label set is its own series
+ */
+const createCounter = ({ name, help }) => {
+    // Series by label set: { labels, value }
+    const series = new Map();
+
+    return {
+        // Add to the series for these labels
+        inc: (labels = {}, amount = 1) => {
+            const key = formatLabels(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...[...series.entries()].map(([key, entry]) => `${name}${key} ${entry.value}`)
+        ].join('\n')
+    };
+};
+
+/**
+ * Create a histogram of durations in seconds; every distinct label set is its own series
+ */
+const createHistogram = ({ name, help, buckets = DEFAULT_BUCKETS }) => {
+    // Series by label set: { labels, counts (per bucket, not cumulative), sum, count }
+    const series = new Map();
+
+    return {
+        // Record one observation for these labels
+        observe: (labels, value) => {
+            const key = formatLabels(labels);
+            const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            const bucket = buckets.findIndex(bound => value <= bound);
+            if (bucket !== -1) {
+                entry.counts[bucket] += 1;
+            }
+            entry.sum += value;
+            entry.count += 1;
+            series.set(key, entry);
+        },
+
+        render: () => {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const entry of series.values()) {
+                // Buckets are cumulative in the exposition format
+                let cumulative = 0;
+                buckets.forEach((bound, i) => {
+                    cumulative += entry.counts[i];
+                    lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${cumulative}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+            }
+            return lines.join('\n');
+        }
+    };
+};
+
+// HTTP requests by method, matched route and status code
+const httpRequestsTotal = createCounter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status code'
+});
+
+// HTTP request latency by method and matched route
+const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds by method and route'
+});
+
+// Payment lifecycle events (created, reused, succeeded, failed, canceled, refunded, disputed, error) by product
+const paymentsTotal = createCounter({
+    name: 'payments_total',
+    help: 'Payment events by product and outcome'
+});
+
+// Cloudinary API call latency by operation and outcome (success | error)
+const cloudinaryRequestDuration = createHistogram({
+    name: 'cloudinary_request_duration_seconds',
+    help: 'Cloudinary API call latency in seconds by operation and outcome'
+});
+
+// Requests rejected with 429 by rate limit budget (payment, admin, catalog) and scope (ip | user)
+const rateLimitedTotal = createCounter({
+    name: 'rate_limited_requests_total',
+    help: 'Requests rejected by rate limiting, by budget and scope'
+});
+
+/**
+ * Run an async call and record its duration in a histogram, labelled with outcome success or error
+ */
+const timeAsync = async (histogram, labels, call) => {
+    const startTime = process.hrtime.bigint();
+    let outcome = 'error';
+    try {
+        const result = await call();
+        outcome = 'success';
+        return result;
+    } finally {
+        histogram.observe({ ...labels, outcome }, Number(process.hrtime.bigint() - startTime) / 1e9);
+    }
+};
+
+/**
+ * Express middleware recording request count and latency per route. Requests that matched no
+ * route (unknown paths, or rejected by middleware first) share the route label "unmatched".
+ */
+const httpMetrics = () => (req, res, next) => {
+    const startTime = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+        httpRequestDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startTime) / 1e9);
+    });
+
+    next();
+};
+
+/**
+ * Render every metric (plus process uptime and memory) in the Prometheus text format
+ */
+const render = () => [
+    '# HELP process_uptime_seconds Time since the process started',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${process.uptime()}`,
+    '# HELP process_resident_memory_bytes Resident memory size in bytes',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${process.memoryUsage().rss}`,
+    httpRequestsTotal.render(),
+    httpRequestDuration.render(),
+    paymentsTotal.render(),
+    cloudinaryRequestDuration.render(),
+    rateLimitedTotal.render()
+].join('\n') + '\n';
+
+module.exports = {
+    httpRequestsTotal,
+    httpRequestDuration,
+    paymentsTotal,
+    cloudinaryRequestDuration,
+    rateLimitedTotal,
+    timeAsync,
+    httpMetrics,
+    render
+};
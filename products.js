@@ -0,0 +1,101 @@
+// Product catalog: what the app sells and the Stripe Price behind each offering
+
+// How long resolved Stripe prices are cached, in milliseconds
+const PRICE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Offerings (price IDs come from the environment so they can differ between test and live mode)
+const PRODUCTS = [
+    {
+        id: 'lifetime',                                         // Product identifier used by the app
+        name: 'Kid Tok Premium - Lifetime',                     // Display name
+        description: 'Unlimited video access, pay once',        // Display description
+        type: 'one_time',                                       // Single PaymentIntent
+        priceId: process.env.STRIPE_PRICE_LIFETIME,             // Stripe Price ID
+        fallbackPrice: { amount: 999, currency: 'usd' },        // Used while no Stripe Price is configured
+        entitlement: 'premium'                                  // What the purchase unlocks
+    },
+    {
+        id: 'monthly',
+        name: 'Kid Tok Premium - Monthly',
+        description: 'Unlimited video access, billed every month',
+        type: 'subscription',                                   // Stripe Billing subscription
+        priceId: process.env.STRIPE_PRICE_MONTHLY,
+        entitlement: 'premium'
+    },
+    {
+        id: 'yearly',
+        name: 'Kid Tok Premium - Yearly',
+        description: 'Unlimited video access, billed every year',
+        type: 'subscription',
+        priceId: process.env.STRIPE_PRICE_YEARLY,
+        entitlement: 'premium'
+    }
+];
+
+// Purchase types sent by older app versions, mapped to product IDs
+const LEGACY_PURCHASE_TYPES = {
+    unlimited_video_selection: 'lifetime'
+};
+
+/**
+ * Create the product catalog; prices are read from the payment provider and cached
+ */
+const createProductCatalog = (payments) => {
+    // Resolved prices by product ID: { price, fetchedAt }
+    const priceCache = new Map();
+
+    // Price ID of a product (providers with built-in prices, like the local stand-in, use their own)
+    const priceIdFor = (product) => payments.builtInPriceIds?.[product.id] || product.priceId;
+
+    // Products that can be sold right now (a Price or a fallback price is configured)
+    const availableProducts = () => PRODUCTS.filter(product => priceIdFor(product) || product.fallbackPrice);
+
+    // Find a product by ID (legacy purchase types accepted); null if unknown or not configured
+    const get = (productId) => {
+        const id = LEGACY_PURCHASE_TYPES[productId] || productId;
+        return availableProducts().find(product => product.id === id) || null;
+    };
+
+    // Read amount, currency and billing interval for a product
+    const resolvePrice = async (product) => {
+        // No Price configured: use the fallback price
+        const priceId = priceIdFor(product);
+        if (!priceId) {
+            return { priceId: null, ...product.fallbackPrice, interval: null };
+        }
+
+        // Serve from cache while fresh
+        const cached = priceCache.get(product.id);
+        if (cached && Date.now() - cached.fetchedAt < PRICE_CACHE_TTL_MS) {
+            return cached.price;
+        }
+
+        const stripePrice = await payments.retrievePrice(priceId);
+        const price = {
+            priceId: stripePrice.id,                            // Stripe Price ID
+            amount: stripePrice.unit_amount,                    // Amount in smallest currency unit
+            currency: stripePrice.currency,                     // Currency
+            interval: stripePrice.recurring?.interval || null   // Billing interval (null = one-time)
+        };
+        priceCache.set(product.id, { price, fetchedAt: Date.now() });
+        return price;
+    };
+
+    // List every available product with its current price
+    const list = async () => Promise.all(availableProducts().map(async (product) => {
+        const price = await resolvePrice(product);
+        return {
+            id: product.id,                                     // Product identifier
+            name: product.name,                                 // Display name
+            description: product.description,                   // Display description
+            type: product.type,                                 // one_time | subscription
+            amount: price.amount,                               // Amount in smallest currency unit
+            currency: price.currency,                           // Currency
+            interval: price.interval                            // Billing interval (null = one-time)
+        };
+    }));
+
+    return { get, list, resolvePrice };
+};
+
+module.exports = { createProductCatalog };
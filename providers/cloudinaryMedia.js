@@ -0,0 +1,76 @@
+// Cloudinary media provider: video catalog, uploads, moderation and delivery URLs
+
+const cloudinary = require('cloudinary').v2;
+
+const {
+    listVideos,
+    findVideosByIds,
+    quoteSearchValue,
+    PUBLIC_VIDEO_CONDITIONS,
+    uploadVideo,
+    listModerationQueue,
+    setModerationStatus,
+    timeCloudinaryCall
+} = require('../cloudinary');
+
+/**
+ * Create the Cloudinary media provider (needs CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and
+ * CLOUDINARY_API_SECRET). Resources are Cloudinary resources and URL options are Cloudinary
+ * URL options; other media providers accept the same shapes.
+ */
+const createCloudinaryMediaProvider = () => {
+    // Configure Cloudinary with credentials from environment variables
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,    // Cloudinary cloud name
+        api_key: process.env.CLOUDINARY_API_KEY,          // Cloudinary API key
+        api_secret: process.env.CLOUDINARY_API_SECRET,    // Cloudinary API secret
+        secure: true                                       // Use HTTPS for all requests
+    });
+
+    // Look up a single video resource (any delivery type) by its public ID; unapproved uploads only when asked
+    const findVideo = async (publicId, { includeUnapproved = false } = {}) => {
+        const conditions = includeUnapproved ? ['resource_type:video'] : [...PUBLIC_VIDEO_CONDITIONS];
+        conditions.push(`public_id=${quoteSearchValue(publicId)}`); // Exact public ID match (quoted literally)
+
+        const search = cloudinary.search
+            .expression(conditions.join(' AND '))               // Video with this ID (approved unless asked otherwise)
+            .max_results(1)                                     // Only one can match
+            .with_field('tags')                                 // Include tags (premium marker)
+            .with_field('context')                              // Include context metadata
+            .with_field('metadata');                            // Include structured metadata (age rating)
+
+        const result = await timeCloudinaryCall('search', () => search.execute());
+
+        return result.resources?.[0] || null;
+    };
+
+    return {
+        name: 'cloudinary',
+        description: `Cloudinary (${cloudinary.config().cloud_name})`,
+
+        // Catalog
+        listVideos: listVideos,
+        findVideosByIds: findVideosByIds,
+        findVideo: findVideo,
+
+        // Uploads and moderation
+        uploadVideo: uploadVideo,
+        listModerationQueue: listModerationQueue,
+        setModerationStatus: setModerationStatus,
+        deleteVideo: (resource) => timeCloudinaryCall('destroy', () =>
+            cloudinary.uploader.destroy(resource.public_id, { resource_type: 'video', type: resource.type, invalidate: true })),
+
+        // Delivery URLs (transformations, streaming profiles, signatures and auth tokens)
+        url: (publicId, options) => cloudinary.url(publicId, options),
+        privateDownloadUrl: (publicId, format, options) => cloudinary.utils.private_download_url(publicId, format, options),
+
+        // Check a notification was signed with our API secret
+        verifyNotificationSignature: (body, timestamp, signature, maxAgeSeconds) =>
+            cloudinary.utils.verifyNotificationSignature(body, timestamp, signature, maxAgeSeconds),
+
+        // Cloudinary is reachable and accepts our key
+        ping: () => timeCloudinaryCall('ping', () => cloudinary.api.ping())
+    };
+};
+
+module.exports = { createCloudinaryMediaProvider };
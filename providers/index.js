@@ -0,0 +1,53 @@
+// Payment and media providers, chosen by configuration: Stripe and Cloudinary, or local stand-ins
+// that let the whole API (payments included) run offline
+
+const path = require('path');
+
+const { createStripePaymentProvider } = require('./stripePayments');
+const { createLocalPaymentProvider } = require('./localPayments');
+const { createCloudinaryMediaProvider } = require('./cloudinaryMedia');
+const { createLocalMediaProvider } = require('./localMedia');
+
+// Default file for the local payment provider's state (override with LOCAL_PAYMENTS_FILE, ':memory:' keeps none)
+const DEFAULT_LOCAL_PAYMENTS_FILE = path.join(__dirname, '..', 'data', 'local-payments.json');
+
+// Payment providers by PAYMENT_PROVIDER value
+const PAYMENT_PROVIDERS = {
+    stripe: () => createStripePaymentProvider({
+        secretKey: process.env.STRIPE_SECRET_KEY,
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+    }),
+    local: () => {
+        const dataFile = process.env.LOCAL_PAYMENTS_FILE || DEFAULT_LOCAL_PAYMENTS_FILE;
+        return createLocalPaymentProvider({ dataFile: dataFile === ':memory:' ? null : dataFile });
+    }
+};
+
+// Media providers by MEDIA_PROVIDER value
+const MEDIA_PROVIDERS = {
+    cloudinary: () => createCloudinaryMediaProvider(),
+    local: ({ baseUrl }) => createLocalMediaProvider({
+        directory: process.env.LOCAL_MEDIA_DIR || undefined,
+        baseUrl: baseUrl,
+        secret: process.env.LOCAL_MEDIA_SECRET || undefined,       // Signs file URLs and notifications
+        premiumTag: process.env.PREMIUM_VIDEO_TAG || undefined     // Same premium marker as the server
+    })
+};
+
+/**
+ * Create the payment provider with the given name (see PAYMENT_PROVIDERS)
+ */
+const createPaymentProvider = (name) => PAYMENT_PROVIDERS[name]();
+
+/**
+ * Create the media provider with the given name (see MEDIA_PROVIDERS); `baseUrl` is where this
+ * server is reached, for providers that serve files themselves
+ */
+const createMediaProvider = (name, { baseUrl }) => MEDIA_PROVIDERS[name]({ baseUrl });
+
+module.exports = {
+    PAYMENT_PROVIDER_NAMES: Object.keys(PAYMENT_PROVIDERS),
+    MEDIA_PROVIDER_NAMES: Object.keys(MEDIA_PROVIDERS),
+    createPaymentProvider,
+    createMediaProvider
+};
@@ -0,0 +1,326 @@
+// Local media provider: videos kept in a directory on disk and served by this server, so the API
+// runs without a Cloudinary account. Transformations are not applied: thumbnails, previews and
+// renditions all point to the uploaded file, so protected files only get expiring URLs. The index
+// may be changed by another process sharing the directory (another instance, or an edit by hand),
+// which then tells each server through a notification signed like Cloudinary's.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const { SORT_OPTIONS, UPLOAD_FOLDER, clampPageSize, parseSearchTerms } = require('../cloudinary');
+
+// Default directory for uploaded files and the catalog index (override with LOCAL_MEDIA_DIR)
+const DEFAULT_MEDIA_DIRECTORY = path.join(__dirname, '..', 'data', 'media');
+
+// URL path the files are served under
+const FILE_ROUTE = '/local-media';
+
+// File extensions kept from uploaded filenames (anything else is stored as .mp4)
+const EXTENSION_REGEX = /^[a-z0-9]{1,5}$/;
+
+// Moderation state a video needs to appear in the public catalog
+const PUBLIC_MODERATION_STATUS = 'approved';
+
+// Build an error with the HTTP status the routes report (same field as Cloudinary errors)
+const requestError = (message, httpCode) => Object.assign(new Error(message), { http_code: httpCode });
+
+// Lowercase words of a field value, for prefix matching against search terms
+const wordsOf = (value) => String(value ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Create the local media provider. `baseUrl` is where this server is reached, used to build file
+ * URLs. Protected files (authenticated/private delivery, or tagged `premiumTag` / context
+ * access=premium whatever their delivery) are only served through signed, expiring URLs, signed
+ * with `secret` (a random one per process unless given). Notifications are signed with it too.
+ */
+const createLocalMediaProvider = ({
+    directory = DEFAULT_MEDIA_DIRECTORY,
+    baseUrl,
+    secret = crypto.randomBytes(32).toString('hex'),
+    premiumTag = 'premium'
+}) => {
+    const indexPath = path.join(directory, 'index.json');
+    fs.mkdirSync(directory, { recursive: true });
+
+    // Stored resources by public ID, in Cloudinary's resource shape
+    const resources = new Map();
+
+    // Version of the index file the resources were read from (modification time and size)
+    let loadedVersion = null;
+    const indexVersion = () => {
+        const stats = fs.statSync(indexPath, { throwIfNoEntry: false });
+        return stats ? `${stats.mtimeMs}:${stats.size}` : null;
+    };
+
+    // Read the index again when another process has changed it since it was last read or written
+    const refresh = () => {
+        const version = indexVersion();
+        if (version === loadedVersion) {
+            return;
+        }
+        resources.clear();
+        for (const resource of version ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : []) {
+            resources.set(resource.public_id, resource);
+        }
+        loadedVersion = version;
+    };
+    refresh();
+
+    // Write the index back after every change
+    const saveIndex = () => {
+        fs.writeFileSync(indexPath, JSON.stringify([...resources.values()], null, 2));
+        loadedVersion = indexVersion();
+    };
+
+    // Where a resource's file lives on disk
+    const filePath = (resource) => path.join(directory, 'files', `${resource.public_id}.${resource.format}`);
+
+    // Signature over a file path and optional expiry (seconds since epoch)
+    const sign = (pathname, expiresAt) => crypto
+        .createHmac('sha256', secret)
+        .update(`${pathname}:${expiresAt || ''}`)
+        .digest('base64url');
+
+    // Whether a file may only be served through a signed, expiring URL
+    const isProtected = (resource, type = resource?.type) => {
+        const context = resource?.context?.custom || {};
+        return (type || 'upload') !== 'upload' ||
+            Boolean(resource?.tags?.includes(premiumTag) || context.access === 'premium');
+    };
+
+    // Build a file URL; signed when it expires. Protected files have no URL without an expiry,
+    // since every thumbnail or preview would otherwise be a lasting link to the source file
+    const buildUrl = (publicId, { type = 'upload', format, expiresAt = null }) => {
+        const resource = resources.get(publicId);
+        const extension = resource?.format || format || 'mp4';
+        const pathname = `${FILE_ROUTE}/${type}/${publicId}.${extension}`;
+        const url = `${baseUrl}${encodeURI(pathname)}`;
+        if (!expiresAt) {
+            return isProtected(resource, type) ? null : url;
+        }
+
+        const query = new URLSearchParams({ signature: sign(pathname, expiresAt), expires: String(expiresAt) });
+        return `${url}?${query}`;
+    };
+
+    // Copy a stored resource for callers, with its delivery URL (null for protected files)
+    const present = (resource) => ({
+        ...structuredClone(resource),
+        secure_url: buildUrl(resource.public_id, { type: resource.type })
+    });
+
+    // Whether the public catalog may show a resource
+    const isPublic = (resource) => resource.moderation_status === PUBLIC_MODERATION_STATUS;
+
+    // Whether every search term prefix-matches a word of the filename, tags, title, description or categories
+    const matchesText = (resource, terms) => {
+        const context = resource.context?.custom || {};
+        const words = [resource.filename, ...resource.tags, context.title, context.description, context.categories]
+            .flatMap(wordsOf);
+        return terms.every(term => words.some(word => word.startsWith(term)));
+    };
+
+    // Cut one page out of a list; the cursor is the offset of the page (anything else is rejected, as by Cloudinary)
+    const paginate = (list, limit, cursor) => {
+        const pageSize = clampPageSize(limit);
+        const offset = cursor ? Number(cursor) : 0;
+        if (!Number.isInteger(offset) || offset < 0 || (cursor && String(offset) !== cursor)) {
+            throw requestError('Invalid cursor', 400);
+        }
+        return {
+            resources: list.slice(offset, offset + pageSize).map(present),
+            nextCursor: offset + pageSize < list.length ? String(offset + pageSize) : null
+        };
+    };
+
+    // List one page of public videos, optionally narrowed by folder, tag and text
+    const listVideos = async ({ limit, cursor, sort = 'newest', folder, tag, text } = {}) => {
+        // Reject unknown sort options
+        if (!SORT_OPTIONS[sort]) {
+            throw requestError(`Invalid sort "${sort}". Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}`, 400);
+        }
+
+        const terms = text !== undefined ? parseSearchTerms(text) : null;
+        if (terms && terms.length === 0) {
+            throw requestError('Search query must contain letters or digits', 400);
+        }
+
+        refresh();
+        const [sortField, sortDirection] = SORT_OPTIONS[sort];
+        const matching = [...resources.values()]
+            .filter(resource => isPublic(resource) &&
+                (!folder || resource.asset_folder === folder) &&
+                (!tag || resource.tags.includes(tag)) &&
+                (!terms || matchesText(resource, terms)))
+            .sort((a, b) => {
+                const order = String(a[sortField] ?? '').localeCompare(String(b[sortField] ?? ''), undefined, { numeric: true });
+                return sortDirection === 'desc' ? -order : order;
+            });
+
+        return { ...paginate(matching, limit, cursor), totalCount: matching.length };
+    };
+
+    // Look up several videos by public ID
+    const findVideosByIds = async (publicIds, { includeUnapproved = false } = {}) => {
+        refresh();
+        return publicIds
+            .map(publicId => resources.get(publicId))
+            .filter(resource => resource && (includeUnapproved || isPublic(resource)))
+            .map(present);
+    };
+
+    // Look up a single video by public ID
+    const findVideo = async (publicId, options) => (await findVideosByIds([publicId], options))[0] || null;
+
+    // Store an uploaded video; it waits in the moderation queue as "pending"
+    const uploadVideo = async (fileStream, { tags = [], context = {}, type = 'upload', filename } = {}) => {
+        const id = crypto.randomBytes(10).toString('hex');
+        const extension = path.extname(filename || '').slice(1).toLowerCase();
+        const resource = {
+            public_id: `${UPLOAD_FOLDER}/${id}`,                // Public ID inside the upload folder
+            asset_folder: UPLOAD_FOLDER,                        // Folder the video was uploaded into
+            filename: id,                                       // Stored file name
+            format: EXTENSION_REGEX.test(extension) ? extension : 'mp4', // File extension
+            resource_type: 'video',
+            type: type,                                         // "authenticated" for premium videos
+            bytes: 0,                                           // File size
+            duration: null,                                     // Not probed locally
+            width: null,
+            height: null,
+            created_at: new Date().toISOString(),               // Upload timestamp
+            tags: [...tags],                                    // Tags (premium marker)
+            context: { custom: { ...context } },                // Title, description and age rating
+            moderation_status: 'pending'                        // Hidden until an admin approves it
+        };
+
+        const target = filePath(resource);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        try {
+            await pipeline(fileStream, fs.createWriteStream(target));
+        } catch (error) {
+            fs.rmSync(target, { force: true });
+            throw error;
+        }
+
+        resource.bytes = fs.statSync(target).size;
+        refresh();
+        resources.set(resource.public_id, resource);
+        saveIndex();
+        return present(resource);
+    };
+
+    // List one page of uploaded videos in a moderation state, newest first
+    const listModerationQueue = async ({ status = 'pending', limit, cursor } = {}) => {
+        refresh();
+        return paginate(
+            [...resources.values()]
+                .filter(resource => resource.moderation_status === status)
+                .sort((a, b) => b.created_at.localeCompare(a.created_at)),
+            limit,
+            cursor
+        );
+    };
+
+    // Approve or reject a video, merging who decided, when and why into its context
+    const setModerationStatus = async (resource, status, details = {}) => {
+        refresh();
+        const stored = resources.get(resource.public_id);
+        if (!stored) {
+            throw requestError('Video not found', 404);
+        }
+
+        stored.moderation_status = status;
+        stored.context.custom = { ...stored.context.custom, ...details };
+        saveIndex();
+        return present(stored);
+    };
+
+    // Remove a video and its file
+    const deleteVideo = async (resource) => {
+        refresh();
+        const stored = resources.get(resource.public_id);
+        if (stored) {
+            resources.delete(stored.public_id);
+            fs.rmSync(filePath(stored), { force: true });
+            saveIndex();
+        }
+        return { result: stored ? 'ok' : 'not found' };
+    };
+
+    // Check a change notification the way Cloudinary signs them: SHA-1 of the body, timestamp and
+    // secret, sent no more than `maxAgeSeconds` ago
+    const verifyNotificationSignature = (body, timestamp, signature, maxAgeSeconds) => {
+        if (!Number.isFinite(timestamp) || timestamp < Date.now() / 1000 - maxAgeSeconds) {
+            return false;
+        }
+        const expected = crypto.createHash('sha1').update(`${body}${timestamp}${secret}`).digest('hex');
+        return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    };
+
+    // Express handler serving stored files; protected files need a valid signature that has not expired
+    const serveFile = (req, res) => {
+        const pathname = decodeURIComponent(req.path);
+        const [, type, ...rest] = pathname.slice(FILE_ROUTE.length).split('/');
+        const file = rest.join('/');
+        refresh();
+        const resource = resources.get(file.slice(0, file.lastIndexOf('.')));
+        if (!resource || resource.type !== type || `${resource.public_id}.${resource.format}` !== file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (isProtected(resource)) {
+            const { signature, expires } = req.query;
+            const expected = sign(pathname, expires);
+            const valid = typeof signature === 'string' && signature.length === expected.length &&
+                crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+            if (!valid || !expires || Number(expires) < Date.now() / 1000) {
+                return res.status(403).json({ error: 'Invalid or expired file signature' });
+            }
+        }
+
+        res.sendFile(filePath(resource));
+    };
+
+    return {
+        name: 'local',
+        description: `Local files (${directory})`,
+
+        // Catalog
+        listVideos: listVideos,
+        findVideosByIds: findVideosByIds,
+        findVideo: findVideo,
+
+        // Uploads and moderation
+        uploadVideo: uploadVideo,
+        listModerationQueue: listModerationQueue,
+        setModerationStatus: setModerationStatus,
+        deleteVideo: deleteVideo,
+
+        // Delivery URLs (Cloudinary URL options are accepted; only the delivery type and expiry are
+        // honoured, and protected files get null unless the URL expires)
+        url: (publicId, options = {}) => buildUrl(publicId, {
+            type: options.type,
+            format: options.format,
+            expiresAt: options.auth_token?.expiration
+        }),
+        privateDownloadUrl: (publicId, format, options = {}) => buildUrl(publicId, {
+            type: options.type,
+            format: format,
+            expiresAt: options.expires_at
+        }),
+
+        // Change notifications from other processes sharing the directory
+        verifyNotificationSignature: verifyNotificationSignature,
+
+        // The media directory can be written to
+        ping: () => fs.promises.access(directory, fs.constants.W_OK),
+
+        // Route serving the stored files
+        fileRoute: FILE_ROUTE,
+        serveFile: serveFile
+    };
+};
+
+module.exports = { createLocalMediaProvider };
@@ -0,0 +1,524 @@
+// Local payment provider: a stand-in for Stripe that keeps payments in memory (or in a JSON file) and
+// simulates succeeded, failed and refunded payments, so the payment flow runs without a Stripe account
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Prices the stand-in sells, by price ID
+const LOCAL_PRICES = {
+    price_local_lifetime: { unit_amount: 999, currency: 'usd', recurring: null },
+    price_local_monthly: { unit_amount: 499, currency: 'usd', recurring: { interval: 'month' } },
+    price_local_yearly: { unit_amount: 3999, currency: 'usd', recurring: { interval: 'year' } }
+};
+
+// Built-in price of each catalog product
+const BUILT_IN_PRICE_IDS = {
+    lifetime: 'price_local_lifetime',
+    monthly: 'price_local_monthly',
+    yearly: 'price_local_yearly'
+};
+
+// Outcomes a payment can be given with simulate()
+const SIMULATED_OUTCOMES = ['succeeded', 'failed', 'refunded', 'disputed', 'dispute_won', 'dispute_lost'];
+
+// Payment intent statuses that can still be paid or canceled
+const OPEN_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'processing'];
+
+// Build an error shaped like a Stripe API error
+const stripeError = (message, { statusCode = 400, code } = {}) =>
+    Object.assign(new Error(message), { type: 'invalid_request_error', code: code, statusCode: statusCode });
+
+// Current time in seconds since epoch (Stripe's timestamp format)
+const now = () => Math.floor(Date.now() / 1000);
+
+// End of a billing period that starts at `start`
+const periodEnd = (start, interval) => {
+    const date = new Date(start * 1000);
+    if (interval === 'year') {
+        date.setUTCFullYear(date.getUTCFullYear() + 1);
+    } else {
+        date.setUTCMonth(date.getUTCMonth() + 1);
+    }
+    return Math.floor(date.getTime() / 1000);
+};
+
+// Merge metadata updates the way Stripe does (an empty value deletes the key)
+const mergeMetadata = (current, updates = {}) => Object.fromEntries(
+    Object.entries({ ...current, ...updates }).filter(([, value]) => value !== '' && value !== null)
+);
+
+/**
+ * Create the local payment provider. State is kept in memory, and also in `dataFile` when one is
+ * given so it survives restarts. Events Stripe would send to the webhook are passed to the handler
+ * registered with onEvent(); payments stay open until simulate() gives them an outcome.
+ */
+const createLocalPaymentProvider = ({ dataFile = null } = {}) => {
+    // Every object by collection and ID, plus the results of idempotent requests
+    const state = dataFile && fs.existsSync(dataFile)
+        ? JSON.parse(fs.readFileSync(dataFile, 'utf8'))
+        : { paymentIntents: {}, charges: {}, refunds: {}, customers: {}, subscriptions: {}, invoices: {}, disputes: {}, idempotencyKeys: {} };
+
+    // Data files written before disputes were simulated have no collection for them
+    state.disputes = state.disputes || {};
+
+    // Write the state back after every change (only when a data file is used)
+    const persist = () => {
+        if (dataFile) {
+            fs.writeFileSync(dataFile, JSON.stringify(state, null, 2));
+        }
+    };
+
+    // Make sure the data file's directory exists
+    if (dataFile) {
+        fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+    }
+
+    // Handler receiving the events (set with onEvent)
+    let listener = null;
+
+    // Deliver an event the way a Stripe webhook would
+    const emit = async (type, object) => {
+        if (listener) {
+            await listener({
+                id: `evt_local_${crypto.randomBytes(12).toString('hex')}`, // Event ID
+                object: 'event',
+                type: type,                                     // Event type
+                created: now(),                                 // Event timestamp
+                data: { object: structuredClone(object) }       // Object the event is about
+            });
+        }
+    };
+
+    // Generate an object ID with Stripe's prefix
+    const newId = (prefix) => `${prefix}_local_${crypto.randomBytes(12).toString('hex')}`;
+
+    // Look up an object, failing like Stripe for unknown IDs
+    const find = (collection, id, label) => {
+        const object = state[collection][id];
+        if (!object || object.deleted) {
+            throw stripeError(`No such ${label}: '${id}'`, { statusCode: 404, code: 'resource_missing' });
+        }
+        return object;
+    };
+
+    // Object created earlier with the same idempotency key, if any
+    const reuse = (options, collection) => {
+        const id = options?.idempotencyKey && state.idempotencyKeys[`${collection}:${options.idempotencyKey}`];
+        return id ? structuredClone(state[collection][id]) : null;
+    };
+
+    // Remember which object an idempotency key created
+    const remember = (options, collection, id) => {
+        if (options?.idempotencyKey) {
+            state.idempotencyKeys[`${collection}:${options.idempotencyKey}`] = id;
+        }
+    };
+
+    // Fail unless a payment intent can still be paid or canceled
+    const requireOpen = (paymentIntent) => {
+        if (!OPEN_STATUSES.includes(paymentIntent.status)) {
+            throw stripeError(`This PaymentIntent's status is ${paymentIntent.status}`, { code: 'payment_intent_unexpected_state' });
+        }
+    };
+
+    // Look up a built-in price
+    const retrievePrice = async (id) => {
+        if (!LOCAL_PRICES[id]) {
+            throw stripeError(`No such price: '${id}'`, { statusCode: 404, code: 'resource_missing' });
+        }
+        return { id: id, object: 'price', ...structuredClone(LOCAL_PRICES[id]) };
+    };
+
+    // Store a new payment intent waiting for payment
+    const addIntent = ({ amount, currency, metadata, description, receipt_email: receiptEmail, invoice }) => {
+        const id = newId('pi');
+        const paymentIntent = {
+            id: id,
+            object: 'payment_intent',
+            amount: amount,                                     // Amount in smallest currency unit
+            currency: currency,                                 // Currency
+            status: 'requires_payment_method',                  // Waiting for simulate()
+            client_secret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`, // Client secret for the app
+            metadata: mergeMetadata({}, metadata),              // Custom metadata
+            description: description ?? null,                   // Payment description
+            receipt_email: receiptEmail ?? null,                // Receipt email
+            invoice: invoice ?? null,                           // Invoice it pays (subscriptions)
+            amount_received: 0,                                 // Amount collected
+            latest_charge: null,                                // Charge once paid
+            last_payment_error: null,                           // Why the last attempt failed
+            cancellation_reason: null,                          // Why it was canceled
+            canceled_at: null,                                  // Cancellation timestamp
+            created: now()                                      // Creation timestamp
+        };
+        state.paymentIntents[id] = paymentIntent;
+        return paymentIntent;
+    };
+
+    // Return a subscription with its latest invoice expanded when asked for
+    const expandSubscription = (subscription, params) => {
+        const copy = structuredClone(subscription);
+        if ((params?.expand || []).some(field => field.startsWith('latest_invoice'))) {
+            copy.latest_invoice = structuredClone(state.invoices[subscription.latest_invoice]);
+        }
+        return copy;
+    };
+
+    // Refund a paid payment intent (the remaining amount unless `amount` is given)
+    const createRefund = async (params, options) => {
+        const existing = reuse(options, 'refunds');
+        if (existing) {
+            return existing;
+        }
+
+        const paymentIntent = find('paymentIntents', params.payment_intent, 'payment_intent');
+        if (paymentIntent.status !== 'succeeded') {
+            throw stripeError('This PaymentIntent does not have a successful charge to refund.', { code: 'charge_not_refundable' });
+        }
+
+        const charge = state.charges[paymentIntent.latest_charge];
+        const refundable = charge.amount - charge.amount_refunded;
+        const amount = params.amount ?? refundable;
+        if (refundable === 0) {
+            throw stripeError(`Charge ${charge.id} has already been refunded.`, { code: 'charge_already_refunded' });
+        }
+        if (!Number.isInteger(amount) || amount < 1 || amount > refundable) {
+            throw stripeError(`Refund amount must be between 1 and ${refundable}.`, { code: 'amount_too_large' });
+        }
+
+        charge.amount_refunded += amount;
+        charge.refunded = charge.amount_refunded === charge.amount;
+
+        const refund = {
+            id: newId('re'),
+            object: 'refund',
+            amount: amount,                                     // Refunded amount
+            currency: charge.currency,                          // Currency
+            payment_intent: paymentIntent.id,                   // Refunded payment
+            charge: charge.id,                                  // Refunded charge
+            reason: params.reason ?? null,                      // Refund reason
+            metadata: mergeMetadata({}, params.metadata),       // Custom metadata
+            status: 'succeeded',                                // Local refunds go through at once
+            created: now()                                      // Refund timestamp
+        };
+        state.refunds[refund.id] = refund;
+        remember(options, 'refunds', refund.id);
+        persist();
+
+        await emit('charge.refunded', charge);
+        return structuredClone(refund);
+    };
+
+    // Mark a payment intent paid; for a subscription invoice, pay the invoice and start the period
+    const succeed = async (paymentIntent) => {
+        const charge = {
+            id: newId('ch'),
+            object: 'charge',
+            payment_intent: paymentIntent.id,                   // Paid payment intent
+            amount: paymentIntent.amount,                       // Charged amount
+            amount_refunded: 0,                                 // Refunded so far
+            refunded: false,                                    // Fully refunded
+            currency: paymentIntent.currency,                   // Currency
+            description: paymentIntent.description,             // Copied from the payment intent
+            receipt_email: paymentIntent.receipt_email,         // Copied from the payment intent
+            status: 'succeeded',
+            created: now()
+        };
+        state.charges[charge.id] = charge;
+
+        paymentIntent.status = 'succeeded';
+        paymentIntent.amount_received = paymentIntent.amount;
+        paymentIntent.latest_charge = charge.id;
+        paymentIntent.last_payment_error = null;
+        persist();
+        await emit('payment_intent.succeeded', paymentIntent);
+
+        const invoice = paymentIntent.invoice && state.invoices[paymentIntent.invoice];
+        if (!invoice) {
+            return;
+        }
+
+        invoice.status = 'paid';
+        invoice.amount_paid = invoice.amount_due;
+
+        const subscription = state.subscriptions[invoice.subscription];
+        if (subscription.status !== 'canceled') {
+            const item = subscription.items.data[0];
+            subscription.status = 'active';
+            item.current_period_start = now();
+            item.current_period_end = periodEnd(item.current_period_start, item.price.recurring.interval);
+        }
+        persist();
+
+        await emit('customer.subscription.updated', subscription);
+        await emit('invoice.paid', invoice);
+    };
+
+    // Open a dispute on a paid payment intent's charge, or close the open one as won or lost
+    const dispute = async (paymentIntent, status) => {
+        const charge = state.charges[paymentIntent.latest_charge];
+        let current = charge.dispute && state.disputes[charge.dispute];
+        if (!current || current.status === 'won' || current.status === 'lost') {
+            current = {
+                id: newId('dp'),
+                object: 'dispute',
+                amount: charge.amount,                          // Disputed amount
+                currency: charge.currency,                      // Currency
+                charge: charge.id,                              // Disputed charge
+                payment_intent: paymentIntent.id,               // Disputed payment
+                reason: 'fraudulent',                           // Cardholder's reason
+                status: 'needs_response',                       // Waiting for evidence
+                created: now()                                  // Dispute timestamp
+            };
+            state.disputes[current.id] = current;
+            charge.dispute = current.id;
+            charge.disputed = true;
+            persist();
+            await emit('charge.dispute.created', current);
+        }
+
+        if (status !== 'needs_response') {
+            current.status = status;
+            persist();
+            await emit('charge.dispute.closed', current);
+        }
+    };
+
+    // Give an open payment (or a subscription's first payment) an outcome: succeeded, failed,
+    // refunded (paid and then fully refunded), disputed (paid and then disputed), dispute_won or
+    // dispute_lost (paid, disputed and the dispute closed); resolves with the updated payment intent
+    const simulate = async (id, outcome) => {
+        if (!SIMULATED_OUTCOMES.includes(outcome)) {
+            throw stripeError(`outcome must be one of: ${SIMULATED_OUTCOMES.join(', ')}`);
+        }
+
+        // A subscription is paid through the payment intent of its latest invoice
+        const paymentIntentId = id.startsWith('sub_')
+            ? state.invoices[find('subscriptions', id, 'subscription').latest_invoice].payment_intent
+            : id;
+        const paymentIntent = find('paymentIntents', paymentIntentId, 'payment_intent');
+
+        if (outcome === 'failed') {
+            requireOpen(paymentIntent);
+            paymentIntent.status = 'requires_payment_method';   // The app may try again
+            paymentIntent.last_payment_error = {
+                code: 'card_declined',
+                decline_code: 'generic_decline',
+                message: 'Your card was declined.'
+            };
+            persist();
+            await emit('payment_intent.payment_failed', paymentIntent);
+        } else {
+            // A refund or dispute needs a paid intent; an already paid one can still be refunded or disputed
+            if (outcome === 'succeeded' || paymentIntent.status !== 'succeeded') {
+                requireOpen(paymentIntent);
+                await succeed(paymentIntent);
+            }
+            if (outcome === 'refunded') {
+                await createRefund({ payment_intent: paymentIntent.id, reason: 'requested_by_customer' });
+            } else if (outcome !== 'succeeded') {
+                await dispute(paymentIntent, { disputed: 'needs_response', dispute_won: 'won', dispute_lost: 'lost' }[outcome]);
+            }
+        }
+
+        return structuredClone(paymentIntent);
+    };
+
+    return {
+        name: 'local',
+        mode: 'local',
+        description: `Local stand-in (${dataFile || 'in memory'})`,
+
+        // Prices the catalog uses instead of configured Stripe Price IDs
+        builtInPriceIds: BUILT_IN_PRICE_IDS,
+
+        // Payment intents
+        createIntent: async (params, options) => {
+            const existing = reuse(options, 'paymentIntents');
+            if (existing) {
+                return existing;
+            }
+
+            const paymentIntent = addIntent(params);
+            remember(options, 'paymentIntents', paymentIntent.id);
+            persist();
+            return structuredClone(paymentIntent);
+        },
+        retrieveIntent: async (id) => structuredClone(find('paymentIntents', id, 'payment_intent')),
+        updateIntent: async (id, params = {}) => {
+            const paymentIntent = find('paymentIntents', id, 'payment_intent');
+            paymentIntent.metadata = mergeMetadata(paymentIntent.metadata, params.metadata);
+            if (params.description !== undefined) {
+                paymentIntent.description = params.description;
+            }
+            if (params.receipt_email !== undefined) {
+                paymentIntent.receipt_email = params.receipt_email || null; // An empty value unsets it
+            }
+            persist();
+            return structuredClone(paymentIntent);
+        },
+        cancelIntent: async (id, params = {}) => {
+            const paymentIntent = find('paymentIntents', id, 'payment_intent');
+            requireOpen(paymentIntent);
+            paymentIntent.status = 'canceled';
+            paymentIntent.cancellation_reason = params.cancellation_reason ?? null;
+            paymentIntent.canceled_at = now();
+            persist();
+            await emit('payment_intent.canceled', paymentIntent);
+            return structuredClone(paymentIntent);
+        },
+
+        // Charges
+        updateCharge: async (id, params = {}) => {
+            const charge = find('charges', id, 'charge');
+            if (params.description !== undefined) {
+                charge.description = params.description;
+            }
+            if (params.receipt_email !== undefined) {
+                charge.receipt_email = params.receipt_email || null; // An empty value unsets it
+            }
+            persist();
+            return structuredClone(charge);
+        },
+
+        // Refunds
+        createRefund: createRefund,
+
+        // Prices
+        retrievePrice: retrievePrice,
+
+        // Customers
+        createCustomer: async (params, options) => {
+            const existing = reuse(options, 'customers');
+            if (existing) {
+                return existing;
+            }
+
+            const customer = {
+                id: newId('cus'),
+                object: 'customer',
+                email: params.email ?? null,                    // Customer email
+                name: params.name ?? null,                      // Customer name
+                metadata: mergeMetadata({}, params.metadata),   // Custom metadata
+                created: now()
+            };
+            state.customers[customer.id] = customer;
+            remember(options, 'customers', customer.id);
+            persist();
+            return structuredClone(customer);
+        },
+        deleteCustomer: async (id) => {
+            const customer = find('customers', id, 'customer');
+
+            // Deleting a customer cancels its subscriptions and forgets its details
+            for (const subscription of Object.values(state.subscriptions)) {
+                if (subscription.customer === id && subscription.status !== 'canceled') {
+                    subscription.status = 'canceled';
+                    subscription.canceled_at = now();
+                    await emit('customer.subscription.deleted', subscription);
+                }
+            }
+            state.customers[id] = { id: customer.id, object: 'customer', deleted: true };
+            persist();
+            return structuredClone(state.customers[id]);
+        },
+
+        // Subscriptions (incomplete until the first invoice's payment intent is given an outcome)
+        createSubscription: async (params, options) => {
+            const existing = reuse(options, 'subscriptions');
+            if (existing) {
+                return expandSubscription(state.subscriptions[existing.id], params);
+            }
+
+            const customer = find('customers', params.customer, 'customer');
+            const price = await retrievePrice(params.items?.[0]?.price);
+            if (!price.recurring) {
+                throw stripeError(`Price ${price.id} is not a recurring price`);
+            }
+
+            const subscriptionId = newId('sub');
+            const invoiceId = newId('in');
+            const paymentIntent = addIntent({ amount: price.unit_amount, currency: price.currency, invoice: invoiceId, description: 'Subscription creation' });
+            state.invoices[invoiceId] = {
+                id: invoiceId,
+                object: 'invoice',
+                customer: customer.id,                          // Billed customer
+                subscription: subscriptionId,                   // Subscription billed
+                parent: { subscription_details: { subscription: subscriptionId } },
+                amount_due: price.unit_amount,                  // Amount to pay
+                amount_paid: 0,                                 // Amount paid so far
+                currency: price.currency,                       // Currency
+                status: 'open',                                 // open | paid
+                payment_intent: paymentIntent.id,               // Payment intent paying it
+                confirmation_secret: { type: 'payment_intent', client_secret: paymentIntent.client_secret },
+                created: now()
+            };
+
+            const start = now();
+            const subscription = {
+                id: subscriptionId,
+                object: 'subscription',
+                customer: customer.id,                          // Paying customer
+                status: 'incomplete',                           // Until the first invoice is paid
+                metadata: mergeMetadata({}, params.metadata),   // Custom metadata
+                items: {
+                    data: [{ price: price, current_period_start: start, current_period_end: periodEnd(start, price.recurring.interval) }]
+                },
+                cancel_at_period_end: false,                    // Will not renew
+                canceled_at: null,                              // Cancellation timestamp
+                latest_invoice: invoiceId,                      // First invoice
+                created: start
+            };
+            state.subscriptions[subscriptionId] = subscription;
+            remember(options, 'subscriptions', subscriptionId);
+            persist();
+
+            await emit('customer.subscription.created', subscription);
+            return expandSubscription(subscription, params);
+        },
+        retrieveSubscription: async (id, params) => expandSubscription(find('subscriptions', id, 'subscription'), params),
+        updateSubscription: async (id, params = {}) => {
+            const subscription = find('subscriptions', id, 'subscription');
+            if (subscription.status === 'canceled') {
+                throw stripeError('A canceled subscription can only update its cancellation_details and metadata.');
+            }
+
+            if (params.cancel_at_period_end !== undefined) {
+                subscription.cancel_at_period_end = Boolean(params.cancel_at_period_end);
+            }
+            subscription.metadata = mergeMetadata(subscription.metadata, params.metadata);
+            persist();
+
+            await emit('customer.subscription.updated', subscription);
+            return structuredClone(subscription);
+        },
+        cancelSubscription: async (id) => {
+            const subscription = find('subscriptions', id, 'subscription');
+            subscription.status = 'canceled';
+            subscription.canceled_at = now();
+            persist();
+
+            await emit('customer.subscription.deleted', subscription);
+            return structuredClone(subscription);
+        },
+
+        // Payment intent that paid an invoice
+        findInvoicePaymentIntentId: async (invoiceId) => find('invoices', invoiceId, 'invoice').payment_intent,
+
+        // Events are passed to the onEvent handler, never through the webhook
+        constructWebhookEvent: () => {
+            throw stripeError('The local payment provider does not send webhooks');
+        },
+        onEvent: (handler) => {
+            listener = handler;
+        },
+
+        // Give a payment an outcome
+        simulate: simulate,
+
+        // Nothing remote to reach
+        ping: async () => {}
+    };
+};
+
+module.exports = { createLocalPaymentProvider };
@@ -0,0 +1,57 @@
+// Stripe payment provider: payment intents, refunds, prices, customers, subscriptions and webhooks
+
+const Stripe = require('stripe');
+
+/**
+ * Create the Stripe payment provider (needs STRIPE_SECRET_KEY; webhooks need STRIPE_WEBHOOK_SECRET).
+ * Parameters and results are Stripe API objects; other payment providers accept and return the same shapes.
+ */
+const createStripePaymentProvider = ({ secretKey, webhookSecret }) => {
+    const stripe = Stripe(secretKey);
+    const mode = /_live_/.test(secretKey) ? 'live' : 'test';
+
+    return {
+        name: 'stripe',
+        mode: mode,                                             // live | test
+        description: `Stripe (${mode} mode)`,
+
+        // Payment intents
+        createIntent: (params, options) => stripe.paymentIntents.create(params, options),
+        retrieveIntent: (id) => stripe.paymentIntents.retrieve(id),
+        updateIntent: (id, params) => stripe.paymentIntents.update(id, params),
+        cancelIntent: (id, params) => stripe.paymentIntents.cancel(id, params),
+
+        // Charges
+        updateCharge: (id, params) => stripe.charges.update(id, params),
+
+        // Refunds
+        createRefund: (params, options) => stripe.refunds.create(params, options),
+
+        // Prices
+        retrievePrice: (id) => stripe.prices.retrieve(id),
+
+        // Customers
+        createCustomer: (params, options) => stripe.customers.create(params, options),
+        deleteCustomer: (id) => stripe.customers.del(id),
+
+        // Subscriptions
+        createSubscription: (params, options) => stripe.subscriptions.create(params, options),
+        retrieveSubscription: (id, params) => stripe.subscriptions.retrieve(id, params),
+        updateSubscription: (id, params) => stripe.subscriptions.update(id, params),
+        cancelSubscription: (id) => stripe.subscriptions.cancel(id),
+
+        // Payment intent that paid an invoice (null when it was paid another way)
+        findInvoicePaymentIntentId: async (invoiceId) => {
+            const payments = await stripe.invoicePayments.list({ invoice: invoiceId, limit: 1 });
+            return payments.data[0]?.payment?.payment_intent || null;
+        },
+
+        // Verify a webhook was sent by Stripe and parse its event (throws on a bad signature)
+        constructWebhookEvent: (rawBody, signature) => stripe.webhooks.constructEvent(rawBody, signature, webhookSecret),
+
+        // Stripe is reachable and accepts our key
+        ping: () => stripe.balance.retrieve()
+    };
+};
+
+module.exports = { createStripePaymentProvider };
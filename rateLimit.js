@@ -0,0 +1,95 @@
+// Fixed-window rate limiting per client IP and per authenticated user, kept in memory
+// (each server instance counts separately)
+
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+/**
+ * Create rate limiting middleware for one budget. Every request counts against the client IP and,
+ * when the request is authenticated (use after authenticate/optionalAuthenticate), against the user;
+ * once either runs out the request gets 429 with Retry-After until its window resets.
+ * A limit of 0 turns that check off.
+ */
+const createRateLimiter = ({ name, windowSeconds, ipLimit, userLimit }) => {
+    // Request counts by "ip:<address>" or "user:<id>": { count, resetAt }
+    const windows = new Map();
+
+    // Drop finished windows so the map only holds recently active clients
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+    }, windowSeconds * 1000);
+    sweep.unref();
+
+    // Count one request for a key; returns the window after counting
+    const hit = (key, now) => {
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowSeconds * 1000 };
+            windows.set(key, window);
+        }
+        window.count += 1;
+        return window;
+    };
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const checks = [
+            { scope: 'ip', key: `ip:${req.ip}`, limit: ipLimit },
+            { scope: 'user', key: req.user ? `user:${req.user.userId}` : null, limit: userLimit }
+        ].filter(check => check.key && check.limit > 0);
+
+        if (checks.length === 0) {
+            return next();
+        }
+
+        const counted = checks.map(check => ({ ...check, window: hit(check.key, now) }));
+
+        // Report the budget closest to running out
+        const tightest = counted.reduce((a, b) => (b.limit - b.window.count < a.limit - a.window.count ? b : a));
+        const resetSeconds = Math.max(1, Math.ceil((tightest.window.resetAt - now) / 1000));
+        res.set({
+            'RateLimit-Limit': String(tightest.limit),             // Requests allowed per window
+            'RateLimit-Remaining': String(Math.max(0, tightest.limit - tightest.window.count)), // Requests left
+            'RateLimit-Reset': String(resetSeconds)                 // Seconds until the window resets
+        });
+
+        const exceeded = counted.filter(check => check.window.count > check.limit);
+        if (exceeded.length === 0) {
+            return next();
+        }
+
+        // Wait for every exhausted budget to reset
+        const retryAfter = Math.max(...exceeded.map(check => Math.ceil((check.window.resetAt - now) / 1000)), 1);
+
+        exceeded.forEach(check => {
+            metrics.rateLimitedTotal.inc({ budget: name, scope: check.scope });
+
+            // Log once per window, not for every rejected request
+            if (check.window.count === check.limit + 1) {
+                logger.warn('Rate limit exceeded', {
+                    budget: name,
+                    scope: check.scope,
+                    ip: req.ip,
+                    userId: req.user?.userId,
+                    limit: check.limit,
+                    windowSeconds: windowSeconds
+                });
+            }
+        });
+
+        // Return 429 Too Many Requests
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+            error: `Too many requests. Try again in ${retryAfter} seconds.`, // Error message
+            type: 'rate_limit_error',                                // Error type
+            retryAfter: retryAfter                                   // Seconds to wait (same as Retry-After)
+        });
+    };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,90 @@
+// One-off migration: approve videos that have no moderation status (uploaded before moderation
+// existed, or added in the Cloudinary console), since the feed only shows approved videos.
+//
+//   node scripts/approve-existing-videos.js                        List the videos without a status
+//   node scripts/approve-existing-videos.js --apply                Approve all of them
+//   node scripts/approve-existing-videos.js --apply --only ids.txt Approve only the public IDs in ids.txt
+//                                                                  (one per line)
+//
+// A single video can also be approved with POST /api/admin/videos/:id/approve.
+
+require('dotenv').config();
+const fs = require('fs');
+const cloudinary = require('cloudinary').v2;
+
+const { setModerationStatus } = require('../cloudinary');
+
+// Videos without any moderation status
+const EXPRESSION = [
+    'resource_type:video',
+    '-moderation_status=pending',
+    '-moderation_status=approved',
+    '-moderation_status=rejected'
+].join(' AND ');
+
+// Collect every matching video, following the search cursor
+const findUnmoderatedVideos = async () => {
+    const resources = [];
+    let cursor = null;
+    do {
+        const search = cloudinary.search.expression(EXPRESSION).max_results(500);
+        if (cursor) {
+            search.next_cursor(cursor);
+        }
+        const result = await search.execute();
+        resources.push(...(result.resources || []));
+        cursor = result.next_cursor || null;
+    } while (cursor);
+    return resources;
+};
+
+// Public IDs listed in the --only file (null when no allowlist is given)
+const readAllowlist = () => {
+    const index = process.argv.indexOf('--only');
+    if (index === -1) {
+        return null;
+    }
+    const file = process.argv[index + 1];
+    if (!file) {
+        throw new Error('--only needs a file of public IDs');
+    }
+    return new Set(fs.readFileSync(file, 'utf8').split('\n').map(line => line.trim()).filter(Boolean));
+};
+
+const main = async () => {
+    const apply = process.argv.includes('--apply');
+    const allowlist = readAllowlist();
+    const videos = (await findUnmoderatedVideos())
+        .filter(video => !allowlist || allowlist.has(video.public_id));
+    console.log(`${videos.length} video(s) without a moderation status${allowlist ? ' in the allowlist' : ''}`);
+
+    if (!apply) {
+        videos.forEach(video => console.log(`  ${video.public_id}`));
+        console.log('Run again with --apply to approve them');
+        return;
+    }
+
+    // Approve each video, recording the decision like the admin endpoint does
+    let approved = 0;
+    for (const video of videos) {
+        try {
+            await setModerationStatus(video, 'approved', {
+                moderated_by: 'approve-existing-videos',        // Approved by this migration
+                moderated_at: new Date().toISOString(),         // Decision timestamp
+                rejection_reason: ''
+            });
+            approved += 1;
+            console.log(`  approved ${video.public_id}`);
+        } catch (error) {
+            console.error(`  failed ${video.public_id}: ${error.error?.message || error.message}`);
+        }
+    }
+
+    console.log(`${approved} of ${videos.length} video(s) approved`);
+    process.exitCode = approved === videos.length ? 0 : 1;
+};
+
+main().catch(error => {
+    console.error(error.error?.message || error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,91 @@
+// One-off migration: move premium videos stored as public ("upload") Cloudinary assets to the
+// "authenticated" delivery type. Their permanent res.cloudinary.com/.../video/upload/<id> links stop
+// working, and they can only be played through the expiring URLs of /api/videos/:id/play.
+//
+//   node scripts/protect-premium-videos.js           List the premium videos that are still public
+//   node scripts/protect-premium-videos.js --apply   Move them to authenticated delivery
+//
+// Playlists using a moved video as their cover are updated to the new delivery type. Set
+// CLOUDINARY_AUTH_TOKEN_KEY afterwards so moved videos also get expiring streaming renditions.
+
+require('dotenv').config();
+const cloudinary = require('cloudinary').v2;
+
+const { quoteSearchValue } = require('../cloudinary');
+const { openStorage } = require('../storage');
+
+// Cloudinary tag that marks a video as premium-only (same setting as the server)
+const PREMIUM_VIDEO_TAG = process.env.PREMIUM_VIDEO_TAG || 'premium';
+
+// Premium videos that are still delivered publicly
+const EXPRESSION = [
+    'resource_type:video',
+    'type:upload',
+    `(tags=${quoteSearchValue(PREMIUM_VIDEO_TAG)} OR context.access=premium)`
+].join(' AND ');
+
+// Collect every matching video, following the search cursor
+const findPublicPremiumVideos = async () => {
+    const resources = [];
+    let cursor = null;
+    do {
+        const search = cloudinary.search.expression(EXPRESSION).max_results(500);
+        if (cursor) {
+            search.next_cursor(cursor);
+        }
+        const result = await search.execute();
+        resources.push(...(result.resources || []));
+        cursor = result.next_cursor || null;
+    } while (cursor);
+    return resources;
+};
+
+const main = async () => {
+    const apply = process.argv.includes('--apply');
+    const videos = await findPublicPremiumVideos();
+    console.log(`${videos.length} premium video(s) still use public delivery`);
+
+    if (!apply) {
+        videos.forEach(video => console.log(`  ${video.public_id}`));
+        console.log('Run again with --apply to move them to authenticated delivery');
+        return;
+    }
+
+    // Move each video to authenticated delivery under the same public ID, purging cached copies
+    const moved = new Set();
+    for (const video of videos) {
+        try {
+            await cloudinary.uploader.rename(video.public_id, video.public_id, {
+                resource_type: 'video',
+                type: 'upload',
+                to_type: 'authenticated',
+                invalidate: true
+            });
+            moved.add(video.public_id);
+            console.log(`  moved ${video.public_id}`);
+        } catch (error) {
+            console.error(`  failed ${video.public_id}: ${error.error?.message || error.message}`);
+        }
+    }
+
+    // Playlist covers remember the delivery type their thumbnail is built for
+    const storage = openStorage();
+    try {
+        for (const playlist of storage.playlists.list()) {
+            if (moved.has(playlist.coverVideoId) && playlist.coverType !== 'authenticated') {
+                storage.playlists.save({ ...playlist, coverType: 'authenticated' });
+                console.log(`  updated cover of playlist ${playlist.playlistId}`);
+            }
+        }
+    } finally {
+        storage.close();
+    }
+
+    console.log(`${moved.size} of ${videos.length} video(s) moved`);
+    process.exitCode = moved.size === videos.length ? 0 : 1;
+};
+
+main().catch(error => {
+    console.error(error.error?.message || error.message);
+    process.exitCode = 1;
+});
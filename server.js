@@ -6,429 +6,3343 @@ require('dotenv').config();
 // Import Express.js framework for creating web server
 const express = require('express');
 
-// Import Cloudinary SDK v2 for cloud-based media management
-const cloudinary = require('cloudinary').v2;
+// Import shared video listing limits and moderation states
+const { MAX_PAGE_SIZE, MODERATION_STATUSES } = require('./cloudinary');
+
+// Import payment and media providers (Stripe and Cloudinary, or local stand-ins)
+const {
+    PAYMENT_PROVIDER_NAMES,
+    MEDIA_PROVIDER_NAMES,
+    createPaymentProvider,
+    createMediaProvider
+} = require('./providers');
+
+// Import Busboy to stream multipart video uploads straight through to the media provider
+const busboy = require('busboy');
+
+// Import catalog cache (stale-while-revalidate cache for Cloudinary lookups)
+const { createCatalogCache } = require('./catalogCache');
+
+// Import structured JSON logger and per-request logging middleware
+const { logger, requestLogging } = require('./logger');
+
+// Import Prometheus metrics (request, payment and Cloudinary instrumentation)
+const metrics = require('./metrics');
+
+// Import dependency health checks (payment and media providers, database)
+const { createHealthChecks } = require('./health');
+
+// Import per-IP and per-user rate limiting
+const { createRateLimiter } = require('./rateLimit');
+
+// Import Node's os module for the host name and network addresses
+const os = require('os');
+
+// Import AsyncResource to keep upload stream callbacks inside the request's logging context
+const { AsyncResource } = require('async_hooks');
 
 // Import CORS middleware to handle Cross-Origin Resource Sharing
 const cors = require('cors');
 
-// Import Stripe SDK and initialize with secret key from environment variables
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+// Import Node's crypto module for generating user IDs
+const crypto = require('crypto');
+
+// Import persistent storage layer (SQLite repositories)
+const { openStorage } = require('./storage');
+
+// Import authentication helpers (password hashing, session tokens, middleware)
+const { hashPassword, verifyPassword, roleForEmail, signToken, createAuthMiddleware } = require('./auth');
+
+// Import product catalog (offerings mapped to payment provider Prices)
+const { createProductCatalog } = require('./products');
+
+// Create Express application instance
+const app = express();
+
+// Set server port from environment variable or default to 3001
+const port = process.env.PORT || 3001;
+
+// --- Provider Selection ---
+// Payment provider: stripe (default) or local (offline stand-in that simulates payments)
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'stripe';
+
+// Media provider: cloudinary (default) or local (videos stored and served by this server)
+const MEDIA_PROVIDER = process.env.MEDIA_PROVIDER || 'cloudinary';
+
+// Exit on provider names we do not know
+if (!PAYMENT_PROVIDER_NAMES.includes(PAYMENT_PROVIDER) || !MEDIA_PROVIDER_NAMES.includes(MEDIA_PROVIDER)) {
+    logger.error("CRITICAL ERROR: Unknown PAYMENT_PROVIDER or MEDIA_PROVIDER. Please check your .env file.", {
+        paymentProvider: PAYMENT_PROVIDER,                      // Configured payment provider
+        paymentProviders: PAYMENT_PROVIDER_NAMES,               // Accepted values
+        mediaProvider: MEDIA_PROVIDER,                          // Configured media provider
+        mediaProviders: MEDIA_PROVIDER_NAMES                    // Accepted values
+    });
+    process.exit(1);
+}
+
+// --- Cloudinary Configuration Check ---
+// Check if all required Cloudinary environment variables exist (only needed for the Cloudinary provider)
+if (MEDIA_PROVIDER === 'cloudinary' &&
+    (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET)) {
+    // Log critical error message to console
+    logger.error("CRITICAL ERROR: Cloudinary environment variables missing. Please check your .env file.");
+    // Exit the process with error code 1
+    process.exit(1);
+}
+
+// --- Stripe Configuration Check ---
+// Verify that Stripe secret key exists in environment variables (only needed for the Stripe provider)
+if (PAYMENT_PROVIDER === 'stripe' && !process.env.STRIPE_SECRET_KEY) {
+    // Log critical error and exit if Stripe key is missing
+    logger.error("CRITICAL ERROR: STRIPE_SECRET_KEY environment variable missing. Please check your .env file.");
+    process.exit(1);
+}
+
+// Payment provider (payment intents, refunds, prices, customers, subscriptions)
+const payments = createPaymentProvider(PAYMENT_PROVIDER);
+
+// Media provider (video catalog, uploads, moderation and delivery URLs); local files are served from PUBLIC_URL
+const media = createMediaProvider(MEDIA_PROVIDER, {
+    baseUrl: (process.env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/$/, '')
+});
+
+// Log which providers are in use
+logger.info('Providers configured', { payments: payments.description, media: media.description });
+
+// --- Authentication Configuration Check ---
+// Verify that the session token signing secret exists
+if (!process.env.JWT_SECRET) {
+    // Log critical error and exit if the secret is missing
+    logger.error("CRITICAL ERROR: JWT_SECRET environment variable missing. Please check your .env file.");
+    process.exit(1);
+}
+
+// Warn if webhook signing secret is missing (webhook endpoint will reject every event)
+if (PAYMENT_PROVIDER === 'stripe' && !process.env.STRIPE_WEBHOOK_SECRET) {
+    logger.warn("WARNING: STRIPE_WEBHOOK_SECRET environment variable missing. Stripe webhooks will be rejected.");
+}
+
+// --- Proxy & CORS Configuration ---
+// Proxies in front of the server whose X-Forwarded-For is trusted for the client IP used by rate limits
+// (TRUST_PROXY: true, a hop count, or Express trust proxy addresses such as "loopback"; off by default)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+    app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+// Browser origins allowed to call the API (comma-separated CORS_ORIGINS, e.g. https://admin.kidtok.app)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+// Warn if no origins are allowed (browsers will be refused; the mobile app sends no Origin and is unaffected)
+if (CORS_ORIGINS.length === 0) {
+    logger.warn("WARNING: CORS_ORIGINS environment variable missing. Cross-origin browser requests will be refused.");
+}
+
+// --- Middleware ---
+// Give every request an ID that all of its log lines carry, and log each finished request
+app.use(requestLogging({ quietPaths: ['/healthz', '/readyz', '/metrics'] }));
+
+// Count requests and measure latency per route
+app.use(metrics.httpMetrics());
+
+// Enable CORS for allowlisted origins only (requests without an Origin header are not cross-origin and pass)
+app.use(cors({
+    origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes(origin)),
+    exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+
+// Parse incoming JSON request bodies
+app.use(express.json({
+    // Keep the untouched request body so Stripe webhook signatures can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+
+// --- Persistent Storage ---
+// Open SQLite database and run pending migrations
+const storage = openStorage();
+
+// Repositories for transactions (by payment_intent_id), users (by user_id), processed Stripe events,
+// entitlements, parental settings, child profiles, watch history, screen time, subscriptions, playlists
+// and payments being created
+const {
+    transactions, users, events: processedEvents, entitlements, parentalSettings, profiles, watchHistory, screenTime,
+    subscriptions, playlists, paymentReservations
+} = storage;
+
+// --- Product Catalog ---
+// Products with prices resolved from the payment provider
+const catalog = createProductCatalog(payments);
+
+// Subscription statuses that keep premium access until the end of the paid period
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Subscription statuses Stripe no longer accepts updates for
+const FINAL_SUBSCRIPTION_STATUSES = ['canceled', 'incomplete_expired'];
+
+// Payment intent statuses the app can still complete (retries reuse these instead of creating new intents)
+const OPEN_PAYMENT_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'processing'];
+
+// Accepted Idempotency-Key header values (printable ASCII, short enough to prefix for Stripe)
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7e]{1,200}$/;
+
+// --- Authentication ---
+// Middleware bound to the users repository
+const { authenticate, optionalAuthenticate, requireAdmin, requireAccountOwner } = createAuthMiddleware(users);
+
+// Regular expression for email validation
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Minimum password length for new accounts
+const MIN_PASSWORD_LENGTH = 8;
+
+// Feed, search, playlists and playback need a session token unless REQUIRE_CATALOG_AUTH=false. Screen-time
+// limits are only enforced on requests that carry a token, so turning anonymous browsing on lets a device
+// that drops its token keep watching free videos past its budget.
+const REQUIRE_CATALOG_AUTH = process.env.REQUIRE_CATALOG_AUTH !== 'false';
+const catalogAuthenticate = REQUIRE_CATALOG_AUTH ? authenticate : optionalAuthenticate;
+
+// Compare a presented secret with the expected one in constant time
+const secretMatches = (presented, expected) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(presented)).digest(),
+    crypto.createHash('sha256').update(expected).digest()
+);
+
+// --- Rate Limits ---
+// Build a rate limit budget from RATE_LIMIT_<NAME>_WINDOW_SECONDS, _PER_IP and _PER_USER (0 turns a check off)
+const rateLimitFromEnv = (name, defaults) => {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    return createRateLimiter({
+        name: name,                                                                  // Budget name (logs and metrics)
+        windowSeconds: Number(process.env[`${prefix}_WINDOW_SECONDS`] ?? defaults.windowSeconds), // Window length
+        ipLimit: Number(process.env[`${prefix}_PER_IP`] ?? defaults.ipLimit),        // Requests per client IP per window
+        userLimit: Number(process.env[`${prefix}_PER_USER`] ?? defaults.userLimit)   // Requests per user per window
+    });
+};
+
+// Payment intents, payment status checks and subscription changes (every call reaches the payment provider)
+const paymentRateLimit = rateLimitFromEnv('payment', { windowSeconds: 900, ipLimit: 30, userLimit: 10 });
+
+// Registration and login, per client IP (each attempt hashes a password; slows down password guessing)
+const authRateLimit = rateLimitFromEnv('auth', { windowSeconds: 900, ipLimit: 20, userLimit: 0 });
+
+// Admin dashboard endpoints
+const adminRateLimit = rateLimitFromEnv('admin', { windowSeconds: 60, ipLimit: 300, userLimit: 300 });
+
+// Video feed, search, playback, playlists and products (households and schools can share one IP)
+const catalogRateLimit = rateLimitFromEnv('catalog', { windowSeconds: 60, ipLimit: 300, userLimit: 120 });
+
+// Admin endpoints need the admin role
+app.use('/api/admin', authenticate, adminRateLimit, requireAdmin);
+
+// Account endpoints need a token for the same user (or an admin)
+app.use('/api/user/:userId', authenticate, requireAccountOwner);
+app.use('/api/entitlements/:userId', authenticate, requireAccountOwner);
+
+// --- Catalog Cache ---
+// Cloudinary lookups are fresh for CATALOG_CACHE_TTL_SECONDS, then served stale for up to
+// CATALOG_CACHE_STALE_SECONDS more while they refresh in the background (0 and 0 disables caching)
+const catalogCache = createCatalogCache({
+    ttlSeconds: Number(process.env.CATALOG_CACHE_TTL_SECONDS ?? 60),
+    staleSeconds: Number(process.env.CATALOG_CACHE_STALE_SECONDS ?? 300)
+});
+
+// Send a catalog response with an ETag; a matching If-None-Match gets 304 Not Modified
+const sendCatalogResponse = (req, res, body) => {
+    const json = JSON.stringify(body);
+
+    res.set({
+        'ETag': `"${crypto.createHash('sha1').update(json).digest('base64url')}"`, // Changes whenever the response does
+        'Cache-Control': 'private, no-cache',                   // Per-user content; always revalidate
+        'Vary': 'Authorization'                                 // Different callers see different content
+    });
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    res.type('json').send(json);
+};
+
+// --- Entitlement Configuration ---
+// Entitlement key granted by a premium purchase
+const PREMIUM_ENTITLEMENT = 'premium';
+
+// Cloudinary tag that marks a video as premium-only (context key `access=premium` works too)
+const PREMIUM_VIDEO_TAG = process.env.PREMIUM_VIDEO_TAG || 'premium';
+
+// Lifetime of signed playback URLs for premium videos, in seconds
+const PLAYBACK_URL_TTL_SECONDS = parseInt(process.env.PLAYBACK_URL_TTL_SECONDS, 10) || 300;
+
+// --- Rendition Configuration ---
+// Quality tiers the app can ask for (?quality=): Cloudinary streaming profile for HLS/DASH,
+// plus the size and bitrate bounds of the progressive MP4 rendition
+const QUALITY_TIERS = {
+    auto: { streamingProfile: process.env.CLOUDINARY_STREAMING_PROFILE || 'auto', width: 1280, height: 720, quality: 'auto', bitRate: null },
+    low: { streamingProfile: 'sd', width: 640, height: 360, quality: 'auto:low', bitRate: '500k' },
+    medium: { streamingProfile: 'hd', width: 1280, height: 720, quality: 'auto', bitRate: '2m' },
+    high: { streamingProfile: 'full_hd', width: 1920, height: 1080, quality: 'auto:good', bitRate: '5m' }
+};
+
+// Tier used when the app does not ask for one (the player adapts to the connection)
+const DEFAULT_QUALITY = 'auto';
+
+// Screen densities a thumbnail is generated for (multiples of the 300x169 base size)
+const THUMBNAIL_DENSITIES = [1, 2, 3];
+
+// Animated preview: a short looping WebP cut from the start of the video
+const ANIMATED_PREVIEW = { width: 320, height: 180, durationSeconds: 4 };
+
+// --- Payment State Helpers ---
+// Recalculate purchase counters and premium status from a user's transactions
+const recalculateUser = (userId) => {
+    // Get user record (nothing to do for unknown users)
+    const user = users.get(userId);
+    if (!user) {
+        return null;
+    }
+
+    // Aggregate transactions that still count as paid (fully or partially)
+    const paid = transactions.paidByUser(userId);
+
+    // Update counters from the paid transactions
+    user.successfulPurchases = paid.successfulPurchases;        // Number of paid purchases
+    user.totalSpent = paid.totalSpent;                          // Net amount spent after refunds
+    user.isPremium = entitlements.hasActive(userId, PREMIUM_ENTITLEMENT); // Premium while the entitlement stands
+
+    // Save updated user record
+    users.save(user);
+    return user;
+};
+
+// Find the local transaction for a payment intent, rebuilding it from Stripe metadata if needed
+const getOrCreateTransaction = (paymentIntent) => {
+    // Return existing transaction if we already know it
+    const existing = transactions.get(paymentIntent.id);
+    if (existing) {
+        return existing;
+    }
+
+    // Read our own metadata written in /api/create-payment
+    const metadata = paymentIntent.metadata || {};
+
+    // Ignore payment intents that were not created by this app
+    if (!metadata.user_id) {
+        return null;
+    }
+
+    // Rebuild transaction record from the payment intent
+    const transaction = {
+        paymentIntentId: paymentIntent.id,                      // Stripe payment intent ID
+        userId: metadata.user_id,                               // User identifier
+        userName: metadata.user_name,                           // User display name
+        userEmail: metadata.user_email,                         // User email address
+        amount: paymentIntent.amount,                           // Payment amount
+        currency: paymentIntent.currency,                       // Payment currency
+        status: 'pending',                                      // Initial status
+        createdAt: new Date(paymentIntent.created * 1000).toISOString(), // Creation timestamp from Stripe
+        deviceInfo: metadata.device_info,                       // Device information
+        appVersion: metadata.app_version,                       // App version
+        purchaseType: metadata.purchase_type                    // Type of purchase
+    };
+    transactions.save(transaction);
+
+    // Make sure the owning user exists as well
+    if (!users.has(transaction.userId)) {
+        users.save({
+            userId: transaction.userId,                         // User identifier
+            userName: transaction.userName,                     // User display name
+            userEmail: transaction.userEmail,                   // User email
+            firstSeen: transaction.createdAt,                   // First time user was seen
+            lastPurchaseAttempt: transaction.createdAt,         // Last purchase attempt
+            totalAttempts: 1,                                   // Initialize attempt counter
+            successfulPurchases: 0,                             // Initialize successful purchases
+            totalSpent: 0                                       // Initialize total amount spent
+        });
+    }
+
+    return transaction;
+};
+
+// Build the entitlement summary the app uses to decide what is unlocked
+const getEntitlementSummary = (userId) => {
+    // Anonymous callers hold no entitlements
+    const active = userId ? entitlements.listActive(userId) : [];
+    const isPremium = active.some(e => e.entitlement === PREMIUM_ENTITLEMENT);
+
+    return {
+        userId: userId || null,                                 // User identifier
+        tier: isPremium ? 'premium' : 'free',                   // Access tier
+        isPremium: isPremium,                                   // Premium status
+        entitlements: active,                                   // Active entitlements with their source
+        access: {                                               // What the tier unlocks
+            freeVideos: true,                                   // Free catalog is open to everyone
+            premiumVideos: isPremium                            // Premium catalog needs the entitlement
+        }
+    };
+};
+
+// Check whether a Cloudinary video resource is marked premium-only
+const isPremiumVideo = (resource) => {
+    // Search API returns context flat, Admin API nests it under `custom`
+    const context = resource.context?.custom || resource.context || {};
+    return (resource.tags || []).includes(PREMIUM_VIDEO_TAG) || context.access === 'premium';
+};
+
+// --- Content Rating Helpers ---
+// Parse an age value (query string, context or metadata); null when missing
+const parseAge = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const age = Number(value);
+    return Number.isInteger(age) && age >= 0 && age <= 18 ? age : NaN;
+};
+
+// Parse a category list given as an array or a comma/pipe separated string
+const parseCategories = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    return (Array.isArray(value) ? value : String(value).split(/[,|]/))
+        .map(category => String(category).trim().toLowerCase())
+        .filter(Boolean);
+};
+
+// Read a video's age band and categories (structured metadata wins over context)
+const getVideoRating = (resource) => {
+    // Search API returns context flat, Admin API nests it under `custom`
+    const context = resource.context?.custom || resource.context || {};
+    const metadata = resource.metadata || {};
+
+    // Invalid ratings are treated as missing rather than breaking the feed
+    const minAge = parseAge(metadata.min_age ?? context.min_age);
+    const maxAge = parseAge(metadata.max_age ?? context.max_age);
+
+    return {
+        minAge: Number.isNaN(minAge) ? null : minAge,           // Youngest suitable age
+        maxAge: Number.isNaN(maxAge) ? null : maxAge,           // Oldest target age
+        categories: parseCategories(metadata.categories ?? context.categories) // Content categories
+    };
+};
+
+// Combine request filters with saved parental settings (parental settings always win)
+const buildContentFilters = (query, settings) => {
+    // Categories requested by the app, narrowed to what the parent allows
+    let categories = parseCategories(query.categories);
+    const allowedCategories = settings?.allowedCategories || [];
+    if (settings?.noCategoriesAllowed) {
+        categories = [];                                        // Parent and profile share no category
+    } else if (allowedCategories.length > 0) {
+        categories = categories.length > 0
+            ? categories.filter(category => allowedCategories.includes(category))
+            : allowedCategories;
+    } else if (categories.length === 0) {
+        categories = null;                                      // No category restriction at all
+    }
+
+    // Lowest of the requested and parental maximum age
+    const maxAges = [parseAge(query.maxAge), settings?.maxAge ?? null].filter(age => age !== null);
+
+    return {
+        minAge: parseAge(query.minAge),                         // Requested minimum age
+        maxAge: maxAges.length > 0 ? Math.min(...maxAges) : null, // Effective maximum age
+        categories: categories,                                 // Allowed categories (null = any, [] = none)
+        blockedVideos: settings?.blockedVideos || []            // Videos the parent blocked
+    };
+};
+
+// Validate and normalize content settings from a request body; returns { error } or { settings }
+const validateContentSettings = ({ allowedCategories = [], blockedVideos = [], maxAge = null } = {}) => {
+    // Validate list fields
+    if (!Array.isArray(allowedCategories) || !Array.isArray(blockedVideos) ||
+        !blockedVideos.every(id => typeof id === 'string' && id.length > 0)) {
+        return { error: 'allowedCategories and blockedVideos must be arrays of strings' };
+    }
+
+    // Validate age limit
+    if (Number.isNaN(parseAge(maxAge))) {
+        return { error: 'maxAge must be a whole number between 0 and 18, or null' };
+    }
+
+    return {
+        settings: {
+            allowedCategories: parseCategories(allowedCategories), // Lower-cased categories
+            blockedVideos: [...new Set(blockedVideos)],         // De-duplicated blocked video IDs
+            maxAge: parseAge(maxAge)                            // Age limit (null = none)
+        }
+    };
+};
+
+// Combine two sets of content settings so the stricter rule always wins
+const mergeContentSettings = (base, override) => {
+    // Nothing to merge when one side is missing
+    if (!base || !override) {
+        return base || override || null;
+    }
+
+    // Empty category list means "any category"; when both sides restrict categories and share none,
+    // the result allows no category at all (flagged, since an empty list would read as "any")
+    const baseCategories = base.allowedCategories || [];
+    const overrideCategories = override.allowedCategories || [];
+    const bothRestricted = baseCategories.length > 0 && overrideCategories.length > 0;
+    const allowedCategories = bothRestricted
+        ? baseCategories.filter(category => overrideCategories.includes(category))
+        : (baseCategories.length > 0 ? baseCategories : overrideCategories);
+
+    // Lowest age limit that is set
+    const maxAges = [base.maxAge, override.maxAge].filter(age => age !== null && age !== undefined);
+
+    return {
+        allowedCategories: allowedCategories,                   // Categories allowed by both
+        noCategoriesAllowed: bothRestricted && allowedCategories.length === 0, // Lists did not overlap: block every video
+        blockedVideos: [...new Set([...(base.blockedVideos || []), ...(override.blockedVideos || [])])], // Blocked by either
+        maxAge: maxAges.length > 0 ? Math.min(...maxAges) : null // Stricter age limit
+    };
+};
+
+// Resolve the content settings for a viewer: the parent's settings, narrowed by a child profile if given.
+// Returns { error, status } when the profile does not belong to the user.
+const getViewerSettings = (userId, profileId) => {
+    // Household-wide settings saved by the parent
+    const householdSettings = userId ? parentalSettings.get(userId) : null;
+
+    // No profile selected: parent settings only
+    if (!profileId) {
+        return { profile: null, settings: householdSettings };
+    }
+
+    // Profile must exist and belong to this parent
+    const profile = profiles.get(profileId);
+    if (!profile || profile.parentUserId !== userId) {
+        return { error: 'Profile not found', status: 404 };
+    }
+
+    // A child's current age caps the age limit when the parent did not set one lower
+    const profileSettings = { ...profile.contentSettings };
+    if (profile.birthYear) {
+        const childAge = Math.max(new Date().getFullYear() - profile.birthYear, 0);
+        profileSettings.maxAge = Math.min(profileSettings.maxAge ?? childAge, childAge);
+    }
+
+    return { profile, settings: mergeContentSettings(householdSettings, profileSettings) };
+};
+
+// Resolve the content settings for a viewer watching the catalog. Accounts with child profiles must say
+// which profile is watching, so a child cannot fall back to the household's budget by leaving it out.
+const getCatalogViewerSettings = (userId, profileId) => {
+    if (userId && !profileId && profiles.listByParent(userId).length > 0) {
+        return { error: 'profileId is required for accounts with child profiles', status: 400 };
+    }
+    return getViewerSettings(userId, profileId);
+};
+
+// Check a formatted video against content filters (unrated videos count as suitable for all ages)
+const matchesContentFilters = (video, filters) => {
+    // Parent blocked this video
+    if (filters.blockedVideos.includes(video.id)) {
+        return false;
+    }
+
+    // Video is meant for children older than allowed
+    if (filters.maxAge !== null && video.ageRating.minAge !== null && video.ageRating.minAge > filters.maxAge) {
+        return false;
+    }
+
+    // Video is meant for children younger than requested
+    if (filters.minAge !== null && video.ageRating.maxAge !== null && video.ageRating.maxAge < filters.minAge) {
+        return false;
+    }
+
+    // Video must be in at least one allowed category
+    if (filters.categories !== null && !video.categories.some(category => filters.categories.includes(category))) {
+        return false;
+    }
+
+    return true;
+};
+
+// --- Screen Time Helpers ---
+// Playback events accepted by /api/watch-events
+const WATCH_EVENTS = ['start', 'progress', 'complete'];
+
+// Slack (seconds) allowed on top of wall-clock time between two playback events
+const WATCH_EVENT_SLACK_SECONDS = 5;
+
+// Check whether a string is a valid IANA timezone
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Parse "HH:MM" into minutes after midnight (null if malformed)
+const parseClockTime = (value) => {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Read the local day (YYYY-MM-DD) and minute of day in a timezone
+const getLocalClock = (timezone, date = new Date()) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,       // Local calendar day
+        minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute) // Local minutes after midnight
+    };
+};
+
+// Limits for a viewer: the child profile's own, otherwise the household's
+const getScreenTimeLimits = (userId, profileId) =>
+    (profileId && screenTime.getLimits(profileId)) || screenTime.getLimits(userId);
+
+// Work out today's usage and whether the viewer may watch right now
+const getScreenTimeStatus = (userId, profileId) => {
+    const limits = getScreenTimeLimits(userId, profileId);
+    const clock = getLocalClock(limits?.timezone || 'UTC');
+    const usedSeconds = screenTime.getUsage(profileId || userId, clock.day);
+
+    const status = {
+        day: clock.day,                                         // Local day the usage belongs to
+        usedSeconds: Math.round(usedSeconds),                   // Watched today
+        remainingSeconds: null,                                 // Left today (null = unlimited)
+        limitReached: false,                                    // Whether playback is blocked
+        reason: null,                                           // daily_budget_used | outside_allowed_hours
+        limits: limits                                          // Limits in effect (null = none)
+    };
+
+    // No limits configured
+    if (!limits) {
+        return status;
+    }
+
+    // Daily budget
+    if (limits.dailyMinutes !== null) {
+        status.remainingSeconds = Math.max(Math.round(limits.dailyMinutes * 60 - usedSeconds), 0);
+        if (status.remainingSeconds === 0) {
+            status.limitReached = true;
+            status.reason = 'daily_budget_used';
+        }
+    }
+
+    // Allowed hours (a window may wrap past midnight, e.g. 20:00-07:00)
+    if (limits.allowedHours && !status.limitReached) {
+        const start = parseClockTime(limits.allowedHours.start);
+        const end = parseClockTime(limits.allowedHours.end);
+        const now = clock.minuteOfDay;
+        const inside = start <= end ? now >= start && now < end : now >= start || now < end;
+        if (!inside) {
+            status.limitReached = true;
+            status.reason = 'outside_allowed_hours';
+        }
+    }
+
+    return status;
+};
+
+// Response body returned when a screen-time limit blocks the request
+const screenTimeLimitBody = (status) => ({
+    error: 'limit_reached',                                     // Stable error code for the app
+    reason: status.reason,                                      // Which limit was hit
+    message: status.reason === 'daily_budget_used'              // Human-readable explanation
+        ? 'Daily screen time is used up for today.'
+        : `Watching is only allowed between ${status.limits.allowedHours.start} and ${status.limits.allowedHours.end}.`,
+    screenTime: status                                          // Full screen-time status
+});
+
+// Build a thumbnail URL, 300x169 unless another size is given (signed for authenticated/private assets, never
+// expiring; null when the media provider cannot derive an image without handing out the protected source file)
+const buildThumbnailUrl = (resource, { width = 300, height = 169 } = {}) => media.url(resource.public_id, {
+    resource_type: 'video',                                     // Specify video resource type
+    type: resource.type || 'upload',                            // Delivery type of the asset
+    sign_url: (resource.type || 'upload') !== 'upload',         // Protected assets need a signature
+    transformation: [
+        { width: width, height: height, crop: 'fill', gravity: 'auto' }, // Resize and crop thumbnail
+        { fetch_format: 'jpg', quality: 'auto:good' }           // Convert to JPG with auto quality
+    ]
+});
+
+// Build a short-lived playback URL for a protected (authenticated/private) or premium video
+const buildSignedPlaybackUrl = (resource) => {
+    // Expiry timestamp in seconds since epoch
+    const expiresAt = Math.floor(Date.now() / 1000) + PLAYBACK_URL_TTL_SECONDS;
+
+    // Token-based authentication gives expiring CDN URLs for authenticated assets
+    if (resource.type === 'authenticated' && process.env.CLOUDINARY_AUTH_TOKEN_KEY) {
+        return {
+            url: media.url(resource.public_id, {
+                resource_type: 'video',                         // Specify video resource type
+                type: 'authenticated',                          // Authenticated delivery type
+                format: resource.format,                        // Keep original format extension
+                sign_url: true,                                 // Sign the URL
+                auth_token: {                                   // Expiring access token
+                    key: process.env.CLOUDINARY_AUTH_TOKEN_KEY,
+                    expiration: expiresAt
+                }
+            }),
+            expiresAt: new Date(expiresAt * 1000).toISOString()
+        };
+    }
+
+    // Otherwise fall back to an expiring signed download URL (works for every delivery type)
+    return {
+        url: media.privateDownloadUrl(resource.public_id, resource.format, {
+            resource_type: 'video',                             // Specify video resource type
+            type: resource.type || 'upload',                    // Delivery type of the asset
+            expires_at: expiresAt                               // URL stops working after this time
+        }),
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+};
+
+// Build thumbnail URLs for every screen density, keyed 1x, 2x, 3x
+const buildThumbnailSet = (resource) => Object.fromEntries(THUMBNAIL_DENSITIES.map(density => [
+    `${density}x`,
+    buildThumbnailUrl(resource, { width: 300 * density, height: 169 * density })
+]));
+
+// Build the animated preview URL (signed like thumbnails for protected assets)
+const buildAnimatedPreviewUrl = (resource) => media.url(resource.public_id, {
+    resource_type: 'video',                                     // Specify video resource type
+    type: resource.type || 'upload',                            // Delivery type of the asset
+    sign_url: (resource.type || 'upload') !== 'upload',         // Protected assets need a signature
+    format: 'webp',                                             // Animated WebP
+    transformation: [
+        {
+            start_offset: 0,                                    // Cut from the start of the video
+            duration: ANIMATED_PREVIEW.durationSeconds,         // Length of the loop
+            width: ANIMATED_PREVIEW.width,
+            height: ANIMATED_PREVIEW.height,
+            crop: 'fill',
+            gravity: 'auto'
+        },
+        { flags: ['awebp', 'animated'], quality: 'auto' }       // Keep every frame, auto quality
+    ]
+});
+
+// Build HLS, DASH and MP4 URLs of a video for a quality tier (`delivery` adds URL options such as an auth token)
+const buildRenditionUrls = (resource, quality, delivery = {}) => {
+    const tier = QUALITY_TIERS[quality];
+    const options = {
+        resource_type: 'video',                                 // Specify video resource type
+        type: resource.type || 'upload',                        // Delivery type of the asset
+        sign_url: (resource.type || 'upload') !== 'upload',     // Protected assets need a signature
+        ...delivery
+    };
+
+    // Progressive MP4 bounded to a tier's size and bitrate, for players without adaptive streaming
+    const buildMp4Url = ({ width, height, quality, bitRate }) => media.url(resource.public_id, {
+        ...options,
+        format: 'mp4',
+        transformation: [
+            { width: width, height: height, crop: 'limit', quality: quality, bit_rate: bitRate, video_codec: 'h264' }
+        ]
+    });
+
+    return {
+        quality: quality,                                       // Tier the URLs were built for
+        hls: media.url(resource.public_id, {               // Adaptive HLS playlist
+            ...options,
+            streaming_profile: tier.streamingProfile,
+            format: 'm3u8'
+        }),
+        dash: media.url(resource.public_id, {              // Adaptive MPEG-DASH manifest
+            ...options,
+            streaming_profile: tier.streamingProfile,
+            format: 'mpd'
+        }),
+        mp4: buildMp4Url(tier),                                 // MP4 at the requested tier
+        lowBandwidthMp4: buildMp4Url(QUALITY_TIERS.low)         // Smallest MP4, for weak connections
+    };
+};
+
+// Build expiring renditions for a protected video; only token-authenticated assets can enforce expiry
+// on derived files, so other protected videos get none (the app plays the signed playback URL instead)
+const buildSignedRenditionUrls = (resource, quality) => {
+    if (resource.type !== 'authenticated' || !process.env.CLOUDINARY_AUTH_TOKEN_KEY) {
+        return null;
+    }
+
+    return buildRenditionUrls(resource, quality, {
+        auth_token: {                                           // Expiring access token
+            key: process.env.CLOUDINARY_AUTH_TOKEN_KEY,
+            expiration: Math.floor(Date.now() / 1000) + PLAYBACK_URL_TTL_SECONDS
+        }
+    });
+};
+
+// Read the preferred quality tier from the query string (default when absent, null when unknown)
+const parseQuality = (value) => {
+    if (value === undefined || value === '') {
+        return DEFAULT_QUALITY;
+    }
+    return Object.keys(QUALITY_TIERS).includes(value) ? value : null;
+};
+
+// Format a duration in seconds as M:SS
+const formatDuration = (duration) => {
+    // Return placeholder if duration is unknown
+    if (!duration) {
+        return 'N/A';
+    }
+
+    // Calculate minutes from duration in seconds
+    const minutes = Math.floor(duration / 60);
+    // Calculate remaining seconds
+    const seconds = Math.floor(duration % 60);
+    // Format as MM:SS with zero padding
+    return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+};
+
+// Transform a Cloudinary resource into the video object returned to the app (renditions for a quality tier)
+const formatVideo = (resource, entitlement, quality = DEFAULT_QUALITY) => {
+    // Premium videos never expose a permanent URL; they are played through /api/videos/:id/play
+    const premiumOnly = isPremiumVideo(resource);
+    const locked = premiumOnly && !entitlement.isPremium;
+
+    // Read age band and categories from metadata/context
+    const rating = getVideoRating(resource);
+
+    // Return formatted video object
+    return {
+        id: resource.public_id,                                 // Cloudinary public ID
+        url: premiumOnly ? null : resource.secure_url,          // HTTPS video URL (null for premium videos)
+        playUrl: `/api/videos/${encodeURIComponent(resource.public_id)}/play`, // Endpoint issuing a playback URL
+        thumbnailUrl: buildThumbnailUrl(resource),              // Generated thumbnail URL
+        thumbnails: buildThumbnailSet(resource),                // Thumbnail URLs per screen density (1x, 2x, 3x)
+        animatedPreviewUrl: buildAnimatedPreviewUrl(resource),  // Short looping WebP preview
+        renditions: premiumOnly ? null : buildRenditionUrls(resource, quality), // HLS/DASH/MP4 URLs (premium: from /play)
+        filename: resource.filename || resource.public_id.split('/').pop() || 'Video', // Filename with fallbacks
+        duration: resource.duration || null,                    // Duration in seconds
+        formattedDuration: formatDuration(resource.duration),   // Human-readable duration
+        width: resource.width || null,                          // Video width
+        height: resource.height || null,                        // Video height
+        format: resource.format,                                // Video format
+        created_at: resource.created_at,                        // Creation timestamp
+        ageRating: {                                            // Suitable age band (null = no bound)
+            minAge: rating.minAge,
+            maxAge: rating.maxAge
+        },
+        categories: rating.categories,                          // Content categories
+        isPremium: premiumOnly,                                 // Video requires premium
+        locked: locked                                          // Caller cannot play it yet
+    };
+};
+
+// Apply a payment_intent.succeeded event
+const handlePaymentSucceeded = (paymentIntent) => {
+    const transaction = getOrCreateTransaction(paymentIntent);
+    if (!transaction) {
+        return;
+    }
+
+    // Only move forward from pending/failed states (never undo a refund)
+    if (transaction.status === 'pending' || transaction.status === 'failed') {
+        transaction.status = 'completed';                       // Mark as completed
+        transaction.completedAt = new Date().toISOString();     // Add completion timestamp
+        transactions.save(transaction);
+        metrics.paymentsTotal.inc({ product: transaction.purchaseType || 'unknown', outcome: 'succeeded' });
+
+        // Unlock premium content for the buyer
+        entitlements.grant({
+            userId: transaction.userId,                         // Buyer
+            entitlement: PREMIUM_ENTITLEMENT,                   // Premium video access
+            sourceId: paymentIntent.id                          // Granted by this payment
+        });
+
+        // Record successful purchase timestamp on the user
+        const user = users.get(transaction.userId);
+        if (user) {
+            user.lastSuccessfulPurchase = transaction.completedAt;
+            users.save(user);
+        }
+    }
+
+    recalculateUser(transaction.userId);
+    logger.info('Payment succeeded', { userId: transaction.userId, paymentIntentId: paymentIntent.id });
+};
+
+// Apply a payment_intent.payment_failed event
+const handlePaymentFailed = (paymentIntent) => {
+    const transaction = getOrCreateTransaction(paymentIntent);
+    if (!transaction) {
+        return;
+    }
+
+    // A later failed attempt must not overwrite a completed payment
+    if (transaction.status === 'pending' || transaction.status === 'failed') {
+        transaction.status = 'failed';                          // Mark as failed
+        transaction.failedAt = new Date().toISOString();        // Add failure timestamp
+        transaction.failureMessage = paymentIntent.last_payment_error?.message || null; // Stripe failure reason
+        transactions.save(transaction);
+        metrics.paymentsTotal.inc({ product: transaction.purchaseType || 'unknown', outcome: 'failed' });
+    }
+
+    logger.info('Payment failed', { userId: transaction.userId, paymentIntentId: paymentIntent.id });
+};
+
+// Apply a payment_intent.canceled event
+const handlePaymentCanceled = (paymentIntent) => {
+    const transaction = getOrCreateTransaction(paymentIntent);
+    if (!transaction) {
+        return;
+    }
+
+    // Only unpaid transactions can be canceled
+    if (transaction.status === 'pending' || transaction.status === 'failed') {
+        transaction.status = 'canceled';                        // Mark as canceled
+        transaction.canceledAt = new Date().toISOString();      // Add cancellation timestamp
+        transactions.save(transaction);
+        metrics.paymentsTotal.inc({ product: transaction.purchaseType || 'unknown', outcome: 'canceled' });
+    }
+
+    logger.info('Payment canceled', { userId: transaction.userId, paymentIntentId: paymentIntent.id });
+};
+
+// Find the local transaction for a payment intent ID, fetching the intent from Stripe to rebuild it if needed
+const findTransaction = async (paymentIntentId) => {
+    if (!paymentIntentId) {
+        return null;
+    }
+
+    const transaction = transactions.get(paymentIntentId);
+    if (transaction) {
+        return transaction;
+    }
+
+    return getOrCreateTransaction(await payments.retrieveIntent(paymentIntentId));
+};
+
+// Restore the status a paid transaction has from its refunds (used when a dispute is resolved in our favour)
+const paidStatus = (transaction) => {
+    if (transaction.refundedAmount >= transaction.amount) {
+        return 'refunded';
+    }
+    return transaction.refundedAmount > 0 ? 'partially_refunded' : 'completed';
+};
+
+// End the subscription a fully refunded subscription payment paid for: premium is revoked right away
+// (subscription entitlements are granted under the subscription ID) and the provider stops billing
+const endRefundedSubscription = async (transaction) => {
+    // Payments recorded before subscription IDs were stored cannot be matched to their subscription
+    if (!transaction.subscriptionId) {
+        logger.warn('Refunded subscription payment has no subscription ID; cancel it by hand', { userId: transaction.userId, paymentIntentId: transaction.paymentIntentId });
+        return;
+    }
+
+    const subscription = subscriptions.get(transaction.subscriptionId);
+    if (!subscription || FINAL_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+        return;
+    }
+
+    entitlements.revokeBySource(subscription.subscriptionId);
+    try {
+        syncSubscription(await payments.cancelSubscription(subscription.subscriptionId));
+        logger.info('Canceled refunded subscription', { userId: transaction.userId, subscriptionId: subscription.subscriptionId });
+    } catch (error) {
+        // The refund stands; the subscription can still be canceled by hand
+        logger.error('Error canceling refunded subscription', { subscriptionId: subscription.subscriptionId, error });
+    }
+};
+
+// Record the cumulative refunded amount of a transaction and update the buyer
+const applyRefund = async (paidTransaction, totalRefunded) => {
+    // Work on the stored row, not the caller's copy: the admin route and the webhook both report a
+    // refund, and whichever comes second must see what the first one recorded
+    const transaction = transactions.get(paidTransaction.paymentIntentId) || paidTransaction;
+    const previouslyRefunded = transaction.refundedAmount;
+    transaction.refundedAmount = Math.min(Math.max(totalRefunded, previouslyRefunded), transaction.amount); // Total refunded so far
+    transaction.refundedAt = new Date().toISOString();          // Add refund timestamp
+
+    // An open dispute keeps its status until Stripe closes it
+    if (transaction.status !== 'disputed') {
+        transaction.status = paidStatus(transaction);           // Full or partial refund
+    }
+    transactions.save(transaction);
+
+    // A full refund takes back what the payment unlocked (for a subscription payment, the subscription)
+    if (transaction.refundedAmount >= transaction.amount) {
+        entitlements.revokeBySource(transaction.paymentIntentId);
+        if (catalog.get(transaction.purchaseType)?.type === 'subscription') {
+            await endRefundedSubscription(transaction);
+        }
+    }
+
+    // Count each refund once
+    if (transaction.refundedAmount > previouslyRefunded) {
+        metrics.paymentsTotal.inc({
+            product: transaction.purchaseType || 'unknown',
+            outcome: transaction.refundedAmount >= transaction.amount ? 'refunded' : 'partially_refunded'
+        });
+    }
+
+    recalculateUser(transaction.userId);
+    return transaction;
+};
+
+// Apply a charge.refunded event
+const handleChargeRefunded = async (charge) => {
+    // Refunded charges point back to their payment intent
+    const transaction = await findTransaction(charge.payment_intent);
+    if (!transaction) {
+        return;
+    }
+
+    // Stripe reports the cumulative refunded amount, so repeated events stay consistent
+    await applyRefund(transaction, charge.amount_refunded);
+    logger.info('Charge refunded', { userId: transaction.userId, paymentIntentId: transaction.paymentIntentId, amountRefunded: charge.amount_refunded });
+};
+
+// Apply a charge.dispute.created, charge.dispute.updated or charge.dispute.closed event
+const handleDispute = async (dispute) => {
+    // Disputes point back to the disputed payment intent
+    const transaction = await findTransaction(dispute.payment_intent);
+    if (!transaction) {
+        return;
+    }
+
+    transaction.disputedAmount = dispute.amount;                // Amount under dispute
+    transaction.disputedAt = transaction.disputedAt || new Date(dispute.created * 1000).toISOString(); // Dispute opening timestamp
+    transaction.disputeStatus = dispute.status;                 // Stripe dispute status
+
+    if (dispute.status === 'won' || dispute.status === 'warning_closed') {
+        // Resolved in our favour: the payment counts again
+        transaction.status = paidStatus(transaction);
+    } else {
+        // Open or lost: the money is (or may be) gone, so the purchase unlocks nothing
+        if (transaction.status !== 'disputed') {
+            metrics.paymentsTotal.inc({ product: transaction.purchaseType || 'unknown', outcome: 'disputed' });
+        }
+        transaction.status = 'disputed';
+    }
+    transactions.save(transaction);
+
+    if (transaction.subscriptionId) {
+        // Subscription premium is granted under the subscription ID until the end of its paid period;
+        // re-syncing restores it once no payment of the subscription is disputed
+        if (transaction.status === 'disputed') {
+            entitlements.revokeBySource(transaction.subscriptionId);
+        } else {
+            syncSubscription(await payments.retrieveSubscription(transaction.subscriptionId));
+        }
+    } else if (transaction.status === 'disputed' || catalog.get(transaction.purchaseType)?.type === 'subscription') {
+        // Never grant lifetime premium for a subscription payment recorded without its subscription ID
+        entitlements.revokeBySource(transaction.paymentIntentId);
+    } else if (transaction.status !== 'refunded') {
+        entitlements.grant({
+            userId: transaction.userId,                         // Buyer
+            entitlement: PREMIUM_ENTITLEMENT,                   // Premium video access
+            sourceId: transaction.paymentIntentId               // Granted by this payment
+        });
+    }
+
+    recalculateUser(transaction.userId);
+    logger.info('Dispute updated', { disputeId: dispute.id, disputeStatus: dispute.status, userId: transaction.userId, paymentIntentId: transaction.paymentIntentId });
+};
+
+// --- Subscription Helpers ---
+// Mirror a Stripe subscription locally and keep the premium entitlement in step with it
+const syncSubscription = (subscription) => {
+    // Only subscriptions created by this app carry our user ID
+    const userId = subscription.metadata?.user_id;
+    if (!userId) {
+        return null;
+    }
+
+    // Newer API versions report the billing period on the subscription item
+    const item = subscription.items?.data?.[0];
+    const periodEnd = item?.current_period_end ?? subscription.current_period_end;
+    const currentPeriodEnd = periodEnd ? new Date(periodEnd * 1000).toISOString() : null;
+
+    // Save local copy
+    const saved = subscriptions.save({
+        subscriptionId: subscription.id,                        // Stripe subscription ID
+        userId: userId,                                         // Subscriber
+        productId: subscription.metadata.product_id,            // Catalog product
+        priceId: item?.price?.id || null,                       // Stripe Price ID
+        status: subscription.status,                            // Stripe subscription status
+        currentPeriodEnd: currentPeriodEnd,                     // End of the paid period
+        cancelAtPeriodEnd: subscription.cancel_at_period_end,   // Will not renew
+        canceledAt: subscription.canceled_at ? new Date(subscription.canceled_at * 1000).toISOString() : null,
+        createdAt: new Date(subscription.created * 1000).toISOString()
+    });
+
+    // Premium lasts until the end of the paid period while the subscription is in good standing
+    // and none of its payments is disputed
+    if (ACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status) && !transactions.hasDisputedPayment(subscription.id)) {
+        entitlements.grant({
+            userId: userId,                                     // Subscriber
+            entitlement: PREMIUM_ENTITLEMENT,                   // Premium video access
+            sourceId: subscription.id,                          // Granted by this subscription
+            expiresAt: currentPeriodEnd                         // Renewal extends it
+        });
+    } else {
+        // Canceled, unpaid, incomplete, expired or disputed subscriptions unlock nothing
+        entitlements.revokeBySource(subscription.id);
+    }
+
+    recalculateUser(userId);
+    logger.info('Subscription synced', { subscriptionId: subscription.id, userId: userId, status: subscription.status });
+    return saved;
+};
+
+// Apply an invoice.paid event (first payment and every renewal of a subscription)
+const handleInvoicePaid = async (invoice) => {
+    // Newer API versions nest the subscription under `parent`
+    const subscriptionId = invoice.parent?.subscription_details?.subscription || invoice.subscription;
+    if (!subscriptionId) {
+        return;
+    }
+
+    // Refresh the subscription (period end moves forward on renewal)
+    const subscription = syncSubscription(await payments.retrieveSubscription(subscriptionId));
+    if (!subscription || !invoice.amount_paid) {
+        return;
+    }
+
+    // Record the payment as a transaction, keyed by its payment intent so refunds find it
+    const paymentIntentId = await payments.findInvoicePaymentIntentId(invoice.id) || invoice.id;
+    if (!transactions.has(paymentIntentId)) {
+        const user = users.get(subscription.userId);
+        transactions.save({
+            paymentIntentId: paymentIntentId,                   // Stripe payment intent (or invoice) ID
+            userId: subscription.userId,                        // Subscriber
+            userName: user?.userName,                           // User display name
+            userEmail: user?.userEmail,                         // User email address
+            amount: invoice.amount_paid,                        // Amount paid
+            currency: invoice.currency,                         // Payment currency
+            status: 'completed',                                // Invoice is paid
+            createdAt: new Date(invoice.created * 1000).toISOString(), // Invoice timestamp
+            completedAt: new Date().toISOString(),              // Completion timestamp
+            purchaseType: subscription.productId,               // Subscription product
+            subscriptionId: subscription.subscriptionId         // Subscription this invoice paid for
+        });
+        metrics.paymentsTotal.inc({ product: subscription.productId || 'unknown', outcome: 'succeeded' });
+
+        // Record successful purchase timestamp on the user
+        if (user) {
+            user.lastSuccessfulPurchase = new Date().toISOString();
+            users.save(user);
+        }
+        recalculateUser(subscription.userId);
+    }
+};
+
+// Build the create-payment response for a subscription waiting for its first invoice to be paid
+const buildSubscriptionResponse = (subscription, user, product, price, reused) => ({
+    clientSecret: subscription.latest_invoice?.confirmation_secret?.client_secret, // Client secret for frontend
+    subscriptionId: subscription.id,                            // Stripe subscription ID
+    amount: price.amount,                                       // Amount per period
+    currency: price.currency,                                   // Payment currency
+    interval: price.interval,                                   // Billing interval
+    productId: product.id,                                      // Purchased product
+    reused: reused,                                             // True when an earlier open subscription was returned
+    userDetails: {                                              // User information object
+        userId: user.userId,                                    // User ID
+        userName: user.userName,                                // User name
+        userEmail: user.userEmail                               // User email
+    }
+});
+
+// Create a Stripe Billing subscription whose first invoice the app pays with the returned client secret
+const startSubscription = async (user, product, price, { deviceInfo, appVersion, idempotencyKey }) => {
+    // Reuse the user's Stripe customer, or create one
+    let customerId = user.stripeCustomerId;
+    if (!customerId) {
+        const customer = await payments.createCustomer({
+            email: user.userEmail,                              // Customer email
+            name: user.userName,                                // Customer name
+            metadata: { user_id: user.userId }                  // Link back to our user
+        }, {
+            idempotencyKey: idempotencyKey && `${user.userId}:${idempotencyKey}:customer` // Retries reuse the customer
+        });
+        customerId = customer.id;
+        user.stripeCustomerId = customerId;
+        users.save(user);
+    }
+
+    // Log subscription creation details
+    logger.info('Creating subscription', { productId: product.id, userId: user.userId });
+
+    // Create subscription in incomplete state until the first invoice is paid
+    const subscription = await payments.createSubscription({
+        customer: customerId,                                   // Paying customer
+        items: [{ price: price.priceId }],                      // Product price
+        payment_behavior: 'default_incomplete',                 // Wait for the app to confirm payment
+        payment_settings: { save_default_payment_method: 'on_subscription' }, // Reuse card for renewals
+        expand: ['latest_invoice.confirmation_secret'],         // Client secret for the first invoice
+        metadata: {                                             // Custom metadata for tracking
+            user_id: user.userId,                               // Store user ID
+            product_id: product.id,                             // Store catalog product ID
+            app_name: 'Kid Tok Premium',                        // App name identifier
+            app_version: appVersion || 'unknown',               // App version or default
+            device_info: deviceInfo || 'unknown'                // Device info or default
+        }
+    }, {
+        idempotencyKey: idempotencyKey && `${user.userId}:${idempotencyKey}:subscription` // Retries reuse the subscription
+    });
+
+    // Save local copy (premium is granted once the invoice is paid)
+    syncSubscription(subscription);
+
+    // Log successful subscription creation
+    logger.info('Subscription created successfully', { subscriptionId: subscription.id });
+
+    return buildSubscriptionResponse(subscription, user, product, price, false);
+};
+
+// --- Duplicate Purchase Helpers ---
+// How long a reservation keeps parallel requests from creating a second payment for the same product,
+// in seconds (a request that never finished stops blocking the user after this)
+const PAYMENT_RESERVATION_SECONDS = 60;
+
+// Find the user's still-payable payment intent for a product, so a retry or double tap reuses it
+const findOpenPaymentIntent = async (userId, product, price) => {
+    // Only pending transactions can still be paid
+    const pending = transactions.findPending(userId, product.id);
+    if (!pending) {
+        return null;
+    }
+
+    // Stripe knows whether the intent is still open
+    const paymentIntent = await payments.retrieveIntent(pending.paymentIntentId);
+
+    // Catch up on a webhook we have not received yet
+    if (!OPEN_PAYMENT_INTENT_STATUSES.includes(paymentIntent.status)) {
+        if (paymentIntent.status === 'succeeded') {
+            handlePaymentSucceeded(paymentIntent);
+        } else if (paymentIntent.status === 'canceled') {
+            handlePaymentCanceled(paymentIntent);
+        }
+        return null;
+    }
+
+    // A payment already being processed must be waited for; others are reused at the current price only
+    if (paymentIntent.status === 'processing' ||
+        (paymentIntent.amount === price.amount && paymentIntent.currency === price.currency)) {
+        return paymentIntent;
+    }
+
+    // The price changed since: cancel the stale intent so it can no longer be paid
+    handlePaymentCanceled(await payments.cancelIntent(paymentIntent.id));
+    return null;
+};
+
+// Find the user's subscription for a product that is still waiting for its first payment
+const findOpenSubscription = async (userId, product) => {
+    const incomplete = subscriptions.findIncomplete(userId, product.id);
+    if (!incomplete) {
+        return null;
+    }
+
+    // Refresh from Stripe with the client secret of the first invoice
+    const subscription = await payments.retrieveSubscription(incomplete.subscriptionId, {
+        expand: ['latest_invoice.confirmation_secret']
+    });
+    syncSubscription(subscription);
+
+    // Paid, expired or canceled subscriptions cannot be reused
+    return subscription.status === 'incomplete' ? subscription : null;
+};
+
+// Build the create-payment response for a one-time payment intent
+const buildPaymentResponse = (paymentIntent, user, product, reused) => ({
+    clientSecret: paymentIntent.client_secret,                  // Client secret for frontend
+    paymentIntentId: paymentIntent.id,                          // Payment intent ID
+    status: paymentIntent.status,                               // Stripe payment intent status
+    amount: paymentIntent.amount,                               // Payment amount
+    currency: paymentIntent.currency,                           // Payment currency
+    productId: product.id,                                      // Purchased product
+    reused: reused,                                             // True when an earlier open intent was returned
+    userDetails: {                                              // User information object
+        userId: user.userId,                                    // User ID
+        userName: user.userName,                                // User name
+        userEmail: user.userEmail                               // User email
+    },
+    transactionDetails: {                                       // Transaction details object
+        description: paymentIntent.description,                 // Payment description
+        receiptEmail: paymentIntent.receipt_email,              // Receipt email
+        timestamp: new Date().toISOString()                     // Current timestamp
+    }
+});
+
+// Refuse a purchase from a user who already has premium, returning what they own
+const sendAlreadyOwned = (res, userId) => res.status(409).json({
+    error: 'You already have Kid Tok Premium',                  // Error message
+    type: 'already_owned',                                      // Error type
+    entitlements: getEntitlementSummary(userId)                 // What the user has unlocked
+});
+
+// --- Authentication Endpoints ---
+// Whether a payment client secret belongs to one of a user's payments (proof that whoever claims a
+// user ID created before accounts existed made its purchases)
+const provesPurchase = async (userId, clientSecret) => {
+    const paymentIntentId = typeof clientSecret === 'string' ? clientSecret.split('_secret_')[0] : '';
+    if (transactions.get(paymentIntentId)?.userId !== userId) {
+        return false;
+    }
+
+    try {
+        const paymentIntent = await payments.retrieveIntent(paymentIntentId);
+        return Boolean(paymentIntent.client_secret) && secretMatches(clientSecret, paymentIntent.client_secret);
+    } catch (error) {
+        logger.warn('Could not check purchase proof', { userId: userId, paymentIntentId: paymentIntentId, error });
+        return false;
+    }
+};
+
+// POST route handler for creating an account (or claiming a user ID created before accounts existed)
+app.post('/api/auth/register', authRateLimit, async (req, res) => {
+    // Extract account details from request body
+    const { userName, userEmail, password, userId: existingUserId, purchaseClientSecret } = req.body || {};
+
+    // Validate that all required fields are present
+    if (!userName || !userEmail || !password) {
+        // Return 400 Bad Request with error message
+        return res.status(400).json({
+            error: 'Missing required information: userName, userEmail and password are required'
+        });
+    }
+
+    // Validate email format and password length
+    if (!EMAIL_REGEX.test(userEmail)) {
+        return res.status(400).json({ error: 'Invalid email format' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // One account per email
+    if (users.getCredentialsByEmail(userEmail)) {
+        // Return 409 Conflict for an email that is already registered
+        return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    // Purchases made before accounts existed used an app-generated user ID. The buyer may claim it with the
+    // same email plus the client secret of one of its payments, which only the buying device received
+    const existingUser = existingUserId ? users.get(existingUserId) : null;
+    if (existingUserId && (!existingUser || users.hasPassword(existingUserId) ||
+        (existingUser.userEmail || '').toLowerCase() !== userEmail.toLowerCase() ||
+        !(await provesPurchase(existingUserId, purchaseClientSecret)))) {
+        // Return 409 Conflict when the ID is unknown, already claimed, belongs to another email or the proof is wrong
+        return res.status(409).json({ error: 'This user ID cannot be claimed with this email and purchase' });
+    }
+
+    // Create (or claim) the user record with credentials and role in one database transaction
+    const userId = existingUser ? existingUser.userId : crypto.randomUUID();
+    const passwordHash = await hashPassword(password);
+
+    // A parallel claim of the same user ID may have finished while the password was hashed
+    if (existingUser && users.hasPassword(userId)) {
+        return res.status(409).json({ error: 'This user ID cannot be claimed with this email and purchase' });
+    }
+    try {
+        storage.transaction(() => {
+            users.save({
+                ...existingUser,                          // Keep purchase history of a claimed user
+                userId: userId,                           // User identifier
+                userName: userName,                       // User display name
+                userEmail: userEmail,                     // User email
+                firstSeen: existingUser?.firstSeen || new Date().toISOString() // First time user was seen
+            });
+            users.setPassword(userId, passwordHash);
+            users.setRole(userId, roleForEmail(userEmail));
+        });
+    } catch (error) {
+        // A parallel registration with the same email won the race
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+        throw error;
+    }
+
+    // Log account creation
+    logger.info('Account registered', { userId: userId });
+
+    // Return 201 Created with a session token
+    const user = users.get(userId);
+    res.status(201).json({
+        token: signToken(user),                           // Session token for the Authorization header
+        user: user                                        // User information
+    });
+});
+
+// POST route handler for logging in with email and password
+app.post('/api/auth/login', authRateLimit, async (req, res) => {
+    // Extract credentials from request body
+    const { userEmail, password } = req.body || {};
+
+    // Look up the account and check the password
+    const credentials = userEmail && password ? users.getCredentialsByEmail(userEmail) : null;
+    if (!credentials || !(await verifyPassword(String(password), credentials.passwordHash))) {
+        // Return 401 Unauthorized without revealing which part was wrong
+        return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    // Keep the role in sync with ADMIN_EMAILS
+    users.setRole(credentials.userId, roleForEmail(userEmail));
+
+    // Return a session token
+    const user = users.get(credentials.userId);
+    res.json({
+        token: signToken(user),                           // Session token for the Authorization header
+        user: user                                        // User information
+    });
+});
+
+// GET route handler for the account behind the session token
+app.get('/api/auth/me', authenticate, (req, res) => {
+    res.json({
+        user: req.user,                                   // User information
+        entitlements: getEntitlementSummary(req.user.userId) // What the user has unlocked
+    });
+});
+
+// --- Enhanced Payment Endpoint ---
+// POST route handler for creating payment intents
+app.post('/api/create-payment', authenticate, paymentRateLimit, async (req, res) => {
+    // Log timestamp and route access
+    logger.debug('Received request for /api/create-payment');
+
+    // Product label for the payment metrics (known once the product is validated)
+    let productLabel = 'unknown';
+
+    // Set once this request holds the user's reservation for the product
+    let reserved = false;
+    
+    try {
+        // Take the buyer's identity from the session token, never from the request body
+        const { userId, userName, userEmail } = req.user;
+
+        // Destructure purchase details from request body with default values
+        const {
+            deviceInfo,                                   // Device information (optional)
+            appVersion,                                   // App version (optional)
+            purchaseType = 'unlimited_video_selection',   // Legacy purchase type (maps to the lifetime product)
+            productId = purchaseType                      // Catalog product to buy
+        } = req.body;
+
+        // Look up the product in the catalog
+        const product = catalog.get(productId);
+        if (!product) {
+            // Return 400 Bad Request for unknown or unconfigured products
+            return res.status(400).json({
+                error: `Unknown product: ${productId}`
+            });
+        }
+        productLabel = product.id;
+
+        // Optional Idempotency-Key header so a retried request never creates a second payment
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_REGEX.test(idempotencyKey)) {
+            return res.status(400).json({
+                error: 'Idempotency-Key must be 1-200 printable characters without spaces'
+            });
+        }
+
+        // A request repeated with the same key gets the original payment back
+        const previous = idempotencyKey ? transactions.getByIdempotencyKey(userId, idempotencyKey) : null;
+        if (previous) {
+            // Return 422 Unprocessable Entity when the key was used for another product
+            if (previous.purchaseType !== product.id) {
+                return res.status(422).json({
+                    error: 'This Idempotency-Key was already used for a different product'
+                });
+            }
+
+            const paymentIntent = await payments.retrieveIntent(previous.paymentIntentId);
+            return res.json(buildPaymentResponse(paymentIntent, req.user, product, true));
+        }
+
+        // Users who already have premium have nothing left to buy
+        if (entitlements.hasActive(userId, PREMIUM_ENTITLEMENT)) {
+            return sendAlreadyOwned(res, userId);
+        }
+
+        // One request at a time may look for or create the user's payment for a product; a parallel one
+        // (a double tap, or a retry while the first is still waiting for Stripe) is told to try again
+        reserved = paymentReservations.reserve(userId, product.id, PAYMENT_RESERVATION_SECONDS);
+        if (!reserved) {
+            // Return 409 Conflict; the retry finds the payment the first request created
+            res.set('Retry-After', '1');
+            return res.status(409).json({
+                error: 'A payment for this product is already being created, try again in a moment',
+                type: 'payment_in_progress'
+            });
+        }
+
+        // Read the current price from the payment provider
+        const price = await catalog.resolvePrice(product);
+
+        // Reuse an open payment for the same product instead of creating another one
+        if (product.type === 'subscription') {
+            const openSubscription = await findOpenSubscription(userId, product);
+            if (openSubscription) {
+                logger.info('Reusing open subscription', { subscriptionId: openSubscription.id, userId: userId });
+                metrics.paymentsTotal.inc({ product: product.id, outcome: 'reused' });
+                return res.json(buildSubscriptionResponse(openSubscription, req.user, product, price, true));
+            }
+        } else {
+            const openPaymentIntent = await findOpenPaymentIntent(userId, product, price);
+            if (openPaymentIntent) {
+                logger.info('Reusing open payment intent', { paymentIntentId: openPaymentIntent.id, userId: userId });
+                metrics.paymentsTotal.inc({ product: product.id, outcome: 'reused' });
+                return res.json(buildPaymentResponse(openPaymentIntent, req.user, product, true));
+            }
+        }
+
+        // The open payment may have gone through while we were not looking
+        if (entitlements.hasActive(userId, PREMIUM_ENTITLEMENT)) {
+            return sendAlreadyOwned(res, userId);
+        }
+
+        // Get the buyer's current user record (authenticated users always have one)
+        const existingUser = users.get(userId);
+
+        // Update last purchase attempt timestamp
+        existingUser.lastPurchaseAttempt = new Date().toISOString();
+        // Increment total attempts counter (with fallback to 0)
+        existingUser.totalAttempts = (existingUser.totalAttempts || 0) + 1;
+        // Save updated user record
+        users.save(existingUser);
+
+        // Subscriptions go through Stripe Billing
+        if (product.type === 'subscription') {
+            const response = await startSubscription(existingUser, product, price, { deviceInfo, appVersion, idempotencyKey });
+            metrics.paymentsTotal.inc({ product: product.id, outcome: 'created' });
+            return res.json(response);
+        }
+
+        // Set payment amount and currency from the product's price
+        const amount = price.amount;
+        const currency = price.currency;
+
+        // Log payment creation details
+        logger.info('Creating payment intent', { userId: userId, productId: product.id, amount: amount, currency: currency });
+
+        // Create Stripe payment intent with enhanced metadata
+        const paymentIntent = await payments.createIntent({
+            amount: amount,                               // Payment amount in smallest currency unit
+            currency: currency,                           // Payment currency
+            automatic_payment_methods: {                  // Enable automatic payment method selection
+                enabled: true,
+            },
+            metadata: {                                   // Custom metadata for tracking
+                user_id: userId,                          // Store user ID
+                user_name: userName,                      // Store user name
+                user_email: userEmail,                    // Store user email
+                purchase_type: product.id,                // Store purchased product
+                product_id: product.id,                   // Store catalog product ID
+                price_id: price.priceId || 'none',        // Store Stripe Price ID
+                app_name: 'Kid Tok Premium',              // App name identifier
+                app_version: appVersion || 'unknown',     // App version or default
+                device_info: deviceInfo || 'unknown',     // Device info or default
+                purchase_timestamp: new Date().toISOString(), // Current timestamp
+                amount_usd: (amount / 100).toString()     // Amount in dollars as string
+            },
+            receipt_email: userEmail,                     // Email for payment receipt
+            description: `${product.name} for ${userName}`, // Payment description
+        }, {
+            idempotencyKey: idempotencyKey && `${userId}:${idempotencyKey}:payment_intent` // Pass the client's key through to Stripe
+        });
+
+        // Create transaction data object for storage
+        const transactionData = {
+            paymentIntentId: paymentIntent.id,            // Stripe payment intent ID
+            userId: userId,                               // User identifier
+            userName: userName,                           // User display name
+            userEmail: userEmail,                         // User email address
+            amount: amount,                               // Payment amount
+            currency: currency,                           // Payment currency
+            status: 'pending',                            // Initial status
+            createdAt: new Date().toISOString(),          // Creation timestamp
+            deviceInfo: deviceInfo,                       // Device information
+            appVersion: appVersion,                       // App version
+            purchaseType: product.id,                     // Purchased product
+            idempotencyKey: idempotencyKey                // Client Idempotency-Key
+        };
+
+        // Store transaction data using payment intent ID as key
+        transactions.save(transactionData);
+
+        // Log successful payment intent creation
+        logger.info('Payment Intent created successfully', { paymentIntentId: paymentIntent.id });
+        logger.info('Transaction stored', { userId: userId, paymentIntentId: paymentIntent.id });
+        metrics.paymentsTotal.inc({ product: product.id, outcome: 'created' });
+        
+        // Send enhanced response with payment details
+        res.json(buildPaymentResponse(paymentIntent, req.user, product, false));
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error creating payment intent', { error });
+        metrics.paymentsTotal.inc({ product: productLabel, outcome: 'error' });
+        
+        // Return 409 Conflict while Stripe is still handling a request with the same key, else 400
+        res.status(error.type === 'StripeIdempotencyError' ? 409 : 400).json({ 
+            error: error.message,                         // Error message
+            type: error.type || 'payment_creation_error' // Error type with fallback
+        });
+    } finally {
+        // The payment is stored (or was not created), so later requests find it through the transactions
+        if (reserved) {
+            paymentReservations.release(req.user.userId, productLabel);
+        }
+    }
+});
+
+// --- Product & Subscription Endpoints ---
+// GET route handler for listing the products the app can sell
+app.get('/api/products', catalogRateLimit, async (req, res) => {
+    try {
+        // Return products with current prices
+        res.json({ products: await catalog.list() });
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error listing products', { error });
+
+        // Return server error response
+        res.status(500).json({
+            error: error.message,                         // Error message
+            type: 'product_catalog_error'                 // Error type
+        });
+    }
+});
+
+// GET route handler for listing a user's subscriptions
+app.get('/api/user/:userId/subscriptions', (req, res) => {
+    res.json({ subscriptions: subscriptions.listByUser(req.params.userId) });
+});
+
+// POST route handler for canceling a subscription (at period end by default, or immediately)
+app.post('/api/user/:userId/subscriptions/:subscriptionId/cancel', paymentRateLimit, async (req, res) => {
+    // Extract IDs from URL parameters and options from request body
+    const { userId, subscriptionId } = req.params;
+    const { immediately = false } = req.body || {};
+
+    // Subscription must exist and belong to this user
+    const existing = subscriptions.get(subscriptionId);
+    if (!existing || existing.userId !== userId) {
+        return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    try {
+        // Cancel now, or let the paid period run out without renewing
+        const subscription = immediately
+            ? await payments.cancelSubscription(subscriptionId)
+            : await payments.updateSubscription(subscriptionId, { cancel_at_period_end: true });
+
+        // Update local copy and entitlement right away (the webhook will confirm)
+        const saved = syncSubscription(subscription);
+
+        // Log cancellation
+        logger.info('Subscription canceled', { subscriptionId: subscriptionId, userId: userId, immediately: Boolean(immediately) });
+
+        res.json({ subscription: saved });
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error canceling subscription', { subscriptionId: subscriptionId, error });
+
+        // Return error response
+        res.status(error.statusCode || 500).json({
+            error: error.message,                         // Error message
+            type: error.type || 'subscription_cancel_error' // Error type with fallback
+        });
+    }
+});
+
+// --- Stripe Webhook Endpoint ---
+// Apply a payment event (from the Stripe webhook, or delivered directly by the local payment provider)
+const handlePaymentEvent = async (event) => {
+    switch (event.type) {
+        case 'payment_intent.succeeded':
+            handlePaymentSucceeded(event.data.object);
+            break;
+        case 'payment_intent.payment_failed':
+            handlePaymentFailed(event.data.object);
+            break;
+        case 'payment_intent.canceled':
+            handlePaymentCanceled(event.data.object);
+            break;
+        case 'charge.refunded':
+            await handleChargeRefunded(event.data.object);
+            break;
+        case 'charge.dispute.created':
+        case 'charge.dispute.updated':
+        case 'charge.dispute.closed':
+            await handleDispute(event.data.object);
+            break;
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted':
+            syncSubscription(event.data.object);
+            break;
+        case 'invoice.paid':
+            await handleInvoicePaid(event.data.object);
+            break;
+        default:
+            // Acknowledge events we do not care about
+            logger.info('Unhandled Stripe event type', { eventType: event.type });
+    }
+};
+
+// The local payment provider has no webhook: it hands its events straight to the same handlers
+if (payments.onEvent) {
+    payments.onEvent(async (event) => {
+        logger.info('Received local payment event', { eventType: event.type, eventId: event.id });
+        try {
+            await handlePaymentEvent(event);
+            processedEvents.add(event.id, event.type);
+        } catch (error) {
+            logger.error('Error processing local payment event', { eventId: event.id, error });
+        }
+    });
+}
+
+// POST route handler for Stripe events (source of truth for payment state)
+app.post('/api/stripe/webhook', async (req, res) => {
+    // Read Stripe signature header
+    const signature = req.headers['stripe-signature'];
+
+    let event;
+    try {
+        // Verify the event was sent by Stripe using the raw request body
+        event = payments.constructWebhookEvent(req.rawBody, signature);
+    } catch (error) {
+        // Log and reject events with a missing or invalid signature
+        logger.error('Stripe webhook signature verification failed', { error });
+        return res.status(400).json({
+            error: `Webhook signature verification failed: ${error.message}`
+        });
+    }
+
+    // Log received event
+    logger.info('Received Stripe event', { eventType: event.type, eventId: event.id });
+
+    // Skip events that were already processed (Stripe may redeliver)
+    if (processedEvents.has(event.id)) {
+        logger.info('Stripe event already processed, skipping', { eventId: event.id });
+        return res.json({ received: true, duplicate: true });
+    }
+
+    try {
+        // Dispatch event to the matching handler
+        await handlePaymentEvent(event);
+
+        // Remember event so redeliveries are ignored
+        processedEvents.add(event.id, event.type);
+
+        // Acknowledge receipt to Stripe
+        res.json({ received: true });
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error processing Stripe event', { eventId: event.id, error });
+
+        // Return server error so Stripe retries the event later
+        res.status(500).json({
+            error: error.message,                         // Error message
+            type: 'webhook_processing_error'              // Error type
+        });
+    }
+});
+
+// --- Cloudinary Notification Endpoint ---
+// How old a Cloudinary notification may be before it is rejected, in seconds
+const CLOUDINARY_NOTIFICATION_MAX_AGE_SECONDS = 2 * 60 * 60;
+
+// POST route handler for Cloudinary notifications (upload, delete, rename, tag, context and moderation changes)
+// Set this URL as the notification URL in the Cloudinary console; any change empties the catalog cache
+app.post('/api/cloudinary/notifications', (req, res) => {
+    // Read Cloudinary signature headers
+    const timestamp = Number(req.get('X-Cld-Timestamp'));
+    const signature = req.get('X-Cld-Signature');
+
+    // Verify the notification was signed with our API secret, over the raw request body
+    const valid = Boolean(req.rawBody) && Boolean(signature) && media.verifyNotificationSignature(
+        req.rawBody.toString('utf8'), timestamp, signature, CLOUDINARY_NOTIFICATION_MAX_AGE_SECONDS
+    );
+    if (!valid) {
+        // Log and reject notifications with a missing, invalid or expired signature
+        logger.error('Cloudinary notification signature verification failed');
+        return res.status(400).json({
+            error: 'Notification signature verification failed'
+        });
+    }
+
+    // The catalog changed: drop every cached page so the next request sees it
+    catalogCache.clear();
+
+    // Log received notification
+    logger.info('Received Cloudinary notification, catalog cache cleared', { notificationType: req.body.notification_type || 'unknown' });
+
+    // Acknowledge receipt to Cloudinary
+    res.json({ received: true });
+});
+
+// --- Local Media Files ---
+// Videos stored by the local media provider are served by this server (protected ones need signed, expiring URLs)
+if (media.serveFile) {
+    app.get(`${media.fileRoute}/*file`, media.serveFile);
+}
+
+// --- Payment Status Endpoint ---
+// POST route handler for checking payment status (read-only, webhook updates the records)
+app.post('/api/confirm-payment', authenticate, paymentRateLimit, async (req, res) => {
+    // Log payment status request
+    logger.debug('Received payment status check');
+    
+    try {
+        // Extract payment intent ID from request body and user ID from the session token
+        const { paymentIntentId } = req.body;
+        const { userId } = req.user;
+
+        // Validate required parameters
+        if (!paymentIntentId) {
+            // Return error if required parameters are missing
+            return res.status(400).json({
+                error: 'Missing paymentIntentId'
+            });
+        }
+
+        // Retrieve payment intent from Stripe to read its status
+        const paymentIntent = await payments.retrieveIntent(paymentIntentId);
+
+        // Make sure the payment intent belongs to the requesting user
+        if (paymentIntent.metadata?.user_id !== userId) {
+            // Return 403 Forbidden for someone else's payment
+            return res.status(403).json({
+                error: 'Payment does not belong to this user'
+            });
+        }
+
+        // Read local records (updated by the Stripe webhook)
+        const transaction = transactions.get(paymentIntentId);
+        const user = users.get(userId);
+
+        // Log status check result
+        logger.info('Payment status checked', { userId: userId, paymentIntentId: paymentIntentId, status: paymentIntent.status });
+
+        // Return payment status without changing any records
+        res.json({
+            success: paymentIntent.status === 'succeeded', // Success flag
+            paymentDetails: {                             // Payment details object
+                paymentIntentId: paymentIntentId,         // Payment intent ID
+                amount: paymentIntent.amount,             // Payment amount
+                status: paymentIntent.status              // Stripe payment status
+            },
+            transactionStatus: transaction ? transaction.status : null, // Local transaction status
+            isPremium: user?.isPremium || false           // Premium status once webhook has processed the payment
+        });
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error checking payment status', { error });
+        
+        // Return server error response
+        res.status(500).json({
+            error: error.message,                         // Error message
+            type: 'payment_status_error'                  // Error type
+        });
+    }
+});
+
+// --- Local Payment Simulation Endpoint ---
+// POST route handler giving a local payment or subscription an outcome ({ outcome: succeeded | failed | refunded });
+// only with PAYMENT_PROVIDER=local, where it stands in for the app confirming the payment with Stripe
+if (payments.simulate) {
+    app.post('/api/local-payments/:id/simulate', authenticate, paymentRateLimit, async (req, res) => {
+        // Extract payment intent (or subscription) ID from URL parameters and outcome from request body
+        const { id } = req.params;
+        const { outcome } = req.body || {};
+
+        try {
+            // Payment intents and subscriptions created by this app carry the buyer's user ID
+            const target = id.startsWith('sub_') ? await payments.retrieveSubscription(id) : await payments.retrieveIntent(id);
+            const ownerId = target.metadata?.user_id;
+            if (ownerId !== req.user.userId && req.user.role !== 'admin') {
+                // Return 403 Forbidden for someone else's payment
+                return res.status(403).json({
+                    error: 'Payment does not belong to this user'
+                });
+            }
+
+            // Events are applied before the simulation returns, so the records below are up to date
+            const paymentIntent = await payments.simulate(id, outcome);
+
+            // Log simulated outcome
+            logger.info('Simulated local payment outcome', { userId: ownerId, paymentIntentId: paymentIntent.id, outcome: outcome });
+
+            res.json({
+                paymentIntentId: paymentIntent.id,                       // Payment intent given the outcome
+                status: paymentIntent.status,                            // Payment intent status
+                transactionStatus: transactions.get(paymentIntent.id)?.status || null, // Local transaction status
+                isPremium: users.get(ownerId)?.isPremium || false        // Buyer's premium status
+            });
+
+        } catch (error) {
+            // Log error with timestamp
+            logger.error('Error simulating payment', { paymentIntentId: id, error });
+
+            // Return error response
+            res.status(error.statusCode || 500).json({
+                error: error.message,                                    // Error message
+                type: error.type || 'payment_simulation_error'           // Error type with fallback
+            });
+        }
+    });
+}
+
+// --- Get User Details Endpoint ---
+// GET route handler for retrieving user information and transaction history
+app.get('/api/user/:userId', (req, res) => {
+    // Extract user ID from URL parameters
+    const { userId } = req.params;
+    
+    // Get user record from storage
+    const userData = users.get(userId);
+
+    // Check if user exists in our records
+    if (!userData) {
+        // Return 404 Not Found if user doesn't exist
+        return res.status(404).json({
+            error: 'User not found'
+        });
+    }
+    
+    // Get user's transactions sorted by creation date (newest first)
+    const userTransactions = transactions.listByUser(userId);
+
+    // Return user data with transaction history, child profiles and summary
+    res.json({
+        user: userData,                                   // User information
+        profiles: profiles.listByParent(userId),          // Child profiles (inherit premium status)
+        subscriptions: subscriptions.listByUser(userId),  // Stripe Billing subscriptions
+        transactions: userTransactions,                   // User's transaction history
+        summary: {                                        // Summary statistics
+            totalTransactions: userTransactions.length,  // Total number of transactions
+            successfulTransactions: userTransactions.filter(t => t.status === 'completed').length, // Successful transactions count
+            totalSpent: userData.totalSpent,              // Total amount spent
+            isPremium: userData.isPremium || false        // Premium status with fallback
+        }
+    });
+});
+
+// --- Privacy Endpoints (COPPA / GDPR requests) ---
+// Every viewer ID a household's usage may be stored under: the parent, current child profiles, and
+// profiles deleted before their usage was erased with them (still named by history and limits)
+const listHouseholdViewerIds = (userId) => [...new Set([
+    userId,
+    ...profiles.listByParent(userId).map(profile => profile.profileId),
+    ...watchHistory.listByUser(userId).map(entry => entry.profileId),
+    ...screenTime.listLimitsByUser(userId).map(limits => limits.profileId)
+].filter(Boolean))];
+
+// Collect everything stored about a family: the parent account, child profiles, usage and payments
+const buildAccountExport = (user) => {
+    const householdProfiles = profiles.listByParent(user.userId);
+    const viewerIds = listHouseholdViewerIds(user.userId);
+
+    return {
+        exportedAt: new Date().toISOString(),                    // Export timestamp
+        user: user,                                              // Parent account (password hash is never exported)
+        profiles: householdProfiles,                             // Child profiles
+        parentalSettings: parentalSettings.get(user.userId),     // Household content rules (null = defaults)
+        screenTimeLimits: screenTime.listLimitsByUser(user.userId), // Limits for the household and each child
+        screenTimeUsage: viewerIds.map(viewerId => ({            // Daily watch totals per viewer
+            profileId: viewerId === user.userId ? null : viewerId, // Child profile (null = parent)
+            days: screenTime.listUsage(viewerId)
+        })),
+        watchHistory: watchHistory.listByUser(user.userId),      // Every video watched in the household
+        entitlements: entitlements.listByUser(user.userId),      // Premium grants, revoked and expired included
+        subscriptions: subscriptions.listByUser(user.userId),    // Stripe Billing subscriptions
+        transactions: transactions.listByUser(user.userId)       // Payment history
+    };
+};
+
+// Remove the personal data this app wrote to Stripe for a user, and stop anything still billable
+const redactStripeData = async (user, anonymousId) => {
+    const result = { paymentIntents: 0, charges: 0, canceledPaymentIntents: 0, subscriptions: 0, customerDeleted: false };
+
+    for (const transaction of transactions.listByUser(user.userId)) {
+        // Subscription payments Stripe did not link to a payment intent are stored under their invoice ID;
+        // invoices carry no data of ours beyond the customer, which is deleted below
+        if (!transaction.paymentIntentId.startsWith('pi_')) {
+            continue;
+        }
+
+        // Empty values delete metadata keys and the receipt email; the description named the buyer
+        const description = catalog.get(transaction.purchaseType)?.name || 'Kid Tok Premium';
+        const paymentIntent = await payments.updateIntent(transaction.paymentIntentId, {
+            metadata: { user_id: anonymousId, user_name: '', user_email: '', device_info: '' },
+            description: description,
+            receipt_email: ''
+        });
+        result.paymentIntents += 1;
+
+        // The charge took its own copy of the description and receipt email when it was paid
+        if (paymentIntent.latest_charge) {
+            await payments.updateCharge(paymentIntent.latest_charge, { description: description, receipt_email: '' });
+            result.charges += 1;
+        }
+
+        // Unpaid intents must not be charged once the account is gone (processing ones can no longer be stopped)
+        if (OPEN_PAYMENT_INTENT_STATUSES.includes(paymentIntent.status) && paymentIntent.status !== 'processing') {
+            handlePaymentCanceled(await payments.cancelIntent(paymentIntent.id, {
+                cancellation_reason: 'abandoned'          // Stripe cancellation reason
+            }));
+            result.canceledPaymentIntents += 1;
+        }
+    }
+
+    // Canceled subscriptions cannot be updated any more
+    for (const subscription of subscriptions.listByUser(user.userId)) {
+        if (!FINAL_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+            await payments.updateSubscription(subscription.subscriptionId, {
+                metadata: { user_id: anonymousId, device_info: '' }
+            });
+            result.subscriptions += 1;
+        }
+    }
+
+    // Deleting the customer removes the name and email we gave Stripe and cancels its subscriptions;
+    // Stripe keeps the payments themselves
+    if (user.stripeCustomerId) {
+        try {
+            await payments.deleteCustomer(user.stripeCustomerId);
+            result.customerDeleted = true;
+        } catch (error) {
+            // Already deleted by an earlier attempt
+            if (error.code !== 'resource_missing') {
+                throw error;
+            }
+        }
+    }
+
+    return result;
+};
+
+// GET route handler for downloading everything stored about a family as a JSON file
+app.get('/api/user/:userId/export', (req, res) => {
+    // Extract user ID from URL parameters
+    const { userId } = req.params;
+
+    // User must exist
+    const user = users.get(userId);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Log export request (by the owner or an admin)
+    logger.info('Data export requested', { userId: userId, requestedBy: req.user.userId });
+
+    // Send as a download
+    res.attachment(`kidtok-export-${userId}.json`);
+    res.json(buildAccountExport(user));
+});
+
+// DELETE route handler for erasing a family's account: personal records are deleted,
+// payment records are kept for accounting under an anonymous ID without personal data
+app.delete('/api/user/:userId', async (req, res) => {
+    // Extract user ID from URL parameters
+    const { userId } = req.params;
+
+    // User must exist
+    const user = users.get(userId);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Anonymous ID that keeps the deleted family's payments grouped for accounting
+    const anonymousId = `deleted_${crypto.randomUUID()}`;
+
+    try {
+        // Redact Stripe first, so a Stripe failure leaves the account intact for a retry
+        const stripeResult = await redactStripeData(user, anonymousId);
+
+        // Erase the household's records and anonymize its payments in one database transaction
+        const anonymized = storage.transaction(() => {
+            for (const viewerId of listHouseholdViewerIds(userId)) {
+                screenTime.removeUsage(viewerId);
+            }
+            screenTime.removeLimitsByUser(userId);
+            watchHistory.removeByUser(userId);
+            profiles.removeByParent(userId);
+            parentalSettings.remove(userId);
+            entitlements.removeByUser(userId);
+            paymentReservations.removeByUser(userId);
+
+            const counts = {
+                transactions: transactions.anonymizeUser(userId, anonymousId),   // Payments kept for accounting
+                subscriptions: subscriptions.anonymizeUser(userId, anonymousId)  // Subscriptions kept for accounting
+            };
+            users.remove(userId);
+            return counts;
+        });
+
+        // Log deletion (no personal data)
+        logger.info('Account deleted', { userId: userId, deletedBy: req.user.userId, anonymousId: anonymousId });
+
+        res.json({
+            deleted: true,                                       // Account and personal records are gone
+            userId: userId,                                      // Deleted user ID
+            anonymized: anonymized,                              // Financial records kept without personal data
+            stripe: stripeResult                                 // What was redacted or stopped in Stripe
+        });
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error deleting account', { userId: userId, error });
+
+        // Return error response (nothing was deleted locally)
+        res.status(error.statusCode ? 502 : 500).json({
+            error: error.message,                                // Error message
+            type: error.type || 'account_deletion_error'         // Error type with fallback
+        });
+    }
+});
+
+// --- Get User Entitlements Endpoint ---
+// GET route handler for telling the app what a user has unlocked
+app.get('/api/entitlements/:userId', (req, res) => {
+    // Extract user ID from URL parameters
+    const { userId } = req.params;
+
+    // Unknown users simply get the free tier
+    res.json(getEntitlementSummary(userId));
+});
+
+// --- Parental Settings Endpoints ---
+// GET route handler for reading a user's parental content settings
+app.get('/api/user/:userId/parental-settings', (req, res) => {
+    // Extract user ID from URL parameters
+    const { userId } = req.params;
+
+    // Return saved settings, or the unrestricted defaults
+    res.json(parentalSettings.get(userId) || {
+        userId: userId,                                   // User identifier
+        allowedCategories: [],                            // Empty = every category
+        blockedVideos: [],                                // No blocked videos
+        maxAge: null,                                     // No age limit
+        updatedAt: null                                   // Never saved
+    });
+});
+
+// PUT route handler for saving a user's parental content settings
+app.put('/api/user/:userId/parental-settings', (req, res) => {
+    // Extract user ID from URL parameters
+    const { userId } = req.params;
+
+    // Validate settings from request body
+    const { error, settings } = validateContentSettings(req.body);
+    if (error) {
+        // Return 400 Bad Request for malformed settings
+        return res.status(400).json({ error: error });
+    }
+
+    // Save normalized settings
+    const saved = parentalSettings.save({
+        userId: userId,                                   // User identifier
+        ...settings                                       // Normalized content settings
+    });
+
+    // Log settings change
+    logger.info('Parental settings updated', { userId: userId });
+
+    // Return saved settings
+    res.json(saved);
+});
+
+// --- Child Profile Endpoints ---
+// Validate profile fields from a request body; fields left out keep their existing values
+const validateProfileInput = (body, existing = {}) => {
+    const name = body.name !== undefined ? body.name : existing.name;
+    const avatar = body.avatar !== undefined ? body.avatar : existing.avatar;
+    const birthYear = body.birthYear !== undefined ? body.birthYear : existing.birthYear;
+    const currentYear = new Date().getFullYear();
+
+    // Validate name
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 50) {
+        return { error: 'name is required and must be at most 50 characters' };
+    }
+
+    // Validate avatar
+    if (avatar !== undefined && avatar !== null && typeof avatar !== 'string') {
+        return { error: 'avatar must be a string' };
+    }
+
+    // Validate birth year (children only)
+    if (birthYear !== undefined && birthYear !== null &&
+        (!Number.isInteger(birthYear) || birthYear < currentYear - 18 || birthYear > currentYear)) {
+        return { error: `birthYear must be a whole number between ${currentYear - 18} and ${currentYear}` };
+    }
+
+    // Validate content settings (merged over the existing ones)
+    const { error, settings } = validateContentSettings({
+        ...existing.contentSettings,
+        ...body.contentSettings
+    });
+    if (error) {
+        return { error: error };
+    }
+
+    return {
+        profile: {
+            name: name.trim(),                            // Child's display name
+            avatar: avatar ?? null,                       // Avatar key or URL
+            birthYear: birthYear ?? null,                 // Birth year
+            contentSettings: settings                     // Per-child content rules
+        }
+    };
+};
+
+// GET route handler for listing a parent's child profiles
+app.get('/api/user/:userId/profiles', (req, res) => {
+    // Extract user ID from URL parameters
+    const { userId } = req.params;
+
+    // Return profiles with the premium status they inherit from the parent
+    res.json({
+        profiles: profiles.listByParent(userId),          // Child profiles
+        isPremium: getEntitlementSummary(userId).isPremium // Inherited premium status
+    });
+});
+
+// POST route handler for creating a child profile
+app.post('/api/user/:userId/profiles', (req, res) => {
+    // Extract user ID from URL parameters
+    const { userId } = req.params;
+
+    // Validate profile fields
+    const { error, profile } = validateProfileInput(req.body || {});
+    if (error) {
+        // Return 400 Bad Request for invalid fields
+        return res.status(400).json({ error: error });
+    }
+
+    // Save new profile
+    const saved = profiles.save({ ...profile, parentUserId: userId });
+
+    // Log profile creation
+    logger.info('Profile created', { userId: userId, profileId: saved.profileId });
+
+    // Return 201 Created with the new profile
+    res.status(201).json(saved);
+});
+
+// GET route handler for a single child profile
+app.get('/api/user/:userId/profiles/:profileId', (req, res) => {
+    // Extract IDs from URL parameters
+    const { userId, profileId } = req.params;
+
+    // Profile must exist and belong to this parent
+    const profile = profiles.get(profileId);
+    if (!profile || profile.parentUserId !== userId) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json(profile);
+});
+
+// PUT route handler for updating a child profile
+app.put('/api/user/:userId/profiles/:profileId', (req, res) => {
+    // Extract IDs from URL parameters
+    const { userId, profileId } = req.params;
+
+    // Profile must exist and belong to this parent
+    const existing = profiles.get(profileId);
+    if (!existing || existing.parentUserId !== userId) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    // Validate changed fields on top of the existing profile
+    const { error, profile } = validateProfileInput(req.body || {}, existing);
+    if (error) {
+        // Return 400 Bad Request for invalid fields
+        return res.status(400).json({ error: error });
+    }
+
+    // Save updated profile
+    const saved = profiles.save({ ...existing, ...profile });
+
+    // Log profile update
+    logger.info('Profile updated', { userId: userId, profileId: profileId });
+
+    res.json(saved);
+});
+
+// DELETE route handler for removing a child profile
+app.delete('/api/user/:userId/profiles/:profileId', (req, res) => {
+    // Extract IDs from URL parameters
+    const { userId, profileId } = req.params;
+
+    // Profile must exist and belong to this parent
+    const existing = profiles.get(profileId);
+    if (!existing || existing.parentUserId !== userId) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    // Delete profile with its watch history, screen-time usage and limits
+    storage.transaction(() => {
+        watchHistory.removeByViewer(profileId);
+        screenTime.removeUsage(profileId);
+        screenTime.removeLimits(profileId);
+        profiles.remove(profileId);
+    });
+
+    // Log profile deletion
+    logger.info('Profile deleted', { userId: userId, profileId: profileId });
+
+    // Return 204 No Content
+    res.status(204).end();
+});
+
+// --- Watch History & Screen Time Endpoints ---
+// POST route handler for playback events (start, progress, complete)
+app.post('/api/watch-events', authenticate, (req, res) => {
+    // Extract event details from request body and user ID from the session token
+    const { profileId, videoId, event, position = 0, duration = null } = req.body || {};
+    const { userId } = req.user;
+
+    // Validate required fields
+    if (!videoId || !WATCH_EVENTS.includes(event)) {
+        // Return 400 Bad Request for incomplete events
+        return res.status(400).json({
+            error: `videoId and event (${WATCH_EVENTS.join(', ')}) are required`
+        });
+    }
+
+    // Validate playback position and duration
+    if (typeof position !== 'number' || position < 0 || (duration !== null && (typeof duration !== 'number' || duration < 0))) {
+        // Return 400 Bad Request for negative or non-numeric values
+        return res.status(400).json({
+            error: 'position and duration must be non-negative numbers of seconds'
+        });
+    }
+
+    // Profile must belong to this parent (and be given when the account has profiles)
+    const viewer = getCatalogViewerSettings(userId, profileId);
+    if (viewer.error) {
+        return res.status(viewer.status).json({ error: viewer.error });
+    }
+
+    // History and usage are kept per child profile (or per parent without one)
+    const viewerId = profileId || userId;
+    const now = new Date();
+    const existing = watchHistory.get(viewerId, videoId);
+
+    // Count only forward progress, capped by real time since the last event (seeking ahead is not watching)
+    let watchedDelta = 0;
+    if (existing && event !== 'start') {
+        const elapsedSeconds = (now - new Date(existing.lastEventAt)) / 1000;
+        watchedDelta = Math.min(Math.max(position - existing.position, 0), elapsedSeconds + WATCH_EVENT_SLACK_SECONDS);
+    }
+
+    // Update the viewer's history entry for this video
+    const entry = watchHistory.save(viewerId, {
+        userId: userId,                                   // Parent user identifier
+        profileId: profileId || null,                     // Child profile (null = parent)
+        videoId: videoId,                                 // Cloudinary public ID
+        position: event === 'complete' && duration !== null ? duration : position, // Resume point
+        duration: duration ?? existing?.duration ?? null, // Video duration
+        completed: event === 'complete' || (event === 'progress' && existing?.completed === true), // Re-watching resets it
+        watchedSeconds: (existing?.watchedSeconds || 0) + watchedDelta, // Total time spent watching
+        startedAt: existing?.startedAt || now.toISOString(), // First playback
+        lastEventAt: now.toISOString()                    // This event
+    });
+
+    // Add watched time to today's screen-time usage (in the limits' timezone)
+    if (watchedDelta > 0) {
+        const limits = getScreenTimeLimits(userId, profileId);
+        screenTime.addUsage(viewerId, getLocalClock(limits?.timezone || 'UTC', now).day, watchedDelta);
+    }
+
+    // Return the entry plus screen-time status so the app can stop playback when a limit is hit
+    res.json({
+        recorded: true,                                   // Event stored
+        history: entry,                                   // Updated history entry
+        screenTime: getScreenTimeStatus(userId, profileId) // Today's usage and limits
+    });
+});
+
+// GET route handler for watch history and "continue watching"
+app.get('/api/user/:userId/history', (req, res) => {
+    // Extract user ID from URL parameters and options from query string
+    const { userId } = req.params;
+    const { profileId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    // Profile must belong to this parent
+    const viewer = getViewerSettings(userId, profileId);
+    if (viewer.error) {
+        return res.status(viewer.status).json({ error: viewer.error });
+    }
+
+    const viewerId = profileId || userId;
+
+    res.json({
+        history: watchHistory.listByViewer(viewerId, limit),         // Most recently watched first
+        continueWatching: watchHistory.listInProgress(viewerId, 20)  // Started but not finished
+    });
+});
+
+// GET route handler for today's screen-time usage and limits
+app.get('/api/user/:userId/screen-time', (req, res) => {
+    // Extract user ID from URL parameters and profile from query string
+    const { userId } = req.params;
+    const { profileId } = req.query;
+
+    // Profile must belong to this parent
+    const viewer = getViewerSettings(userId, profileId);
+    if (viewer.error) {
+        return res.status(viewer.status).json({ error: viewer.error });
+    }
+
+    res.json(getScreenTimeStatus(userId, profileId));
+});
+
+// PUT route handler for setting a daily budget and allowed hours (household-wide, or per profile)
+app.put('/api/user/:userId/screen-time', (req, res) => {
+    // Extract user ID from URL parameters and limits from request body
+    const { userId } = req.params;
+    const { profileId = null, dailyMinutes = null, allowedHours = null, timezone = 'UTC' } = req.body || {};
+
+    // Profile must belong to this parent
+    const viewer = getViewerSettings(userId, profileId);
+    if (viewer.error) {
+        return res.status(viewer.status).json({ error: viewer.error });
+    }
+
+    // Validate daily budget
+    if (dailyMinutes !== null && (!Number.isInteger(dailyMinutes) || dailyMinutes < 0 || dailyMinutes > 1440)) {
+        return res.status(400).json({
+            error: 'dailyMinutes must be a whole number between 0 and 1440, or null'
+        });
+    }
+
+    // Validate allowed hours
+    if (allowedHours !== null &&
+        (parseClockTime(allowedHours.start) === null || parseClockTime(allowedHours.end) === null)) {
+        return res.status(400).json({
+            error: 'allowedHours must be null or { start: "HH:MM", end: "HH:MM" }'
+        });
+    }
+
+    // Validate timezone
+    if (!isValidTimezone(timezone)) {
+        return res.status(400).json({
+            error: 'timezone must be a valid IANA timezone such as "Europe/London"'
+        });
+    }
+
+    // Save limits for the profile, or for the whole household
+    screenTime.saveLimits(profileId || userId, {
+        userId: userId,                                   // Parent user identifier
+        profileId: profileId,                             // Child profile (null = household)
+        dailyMinutes: dailyMinutes,                       // Daily budget
+        allowedHours: allowedHours && { start: allowedHours.start, end: allowedHours.end }, // Watching window
+        timezone: timezone                                // Timezone for days and hours
+    });
+
+    // Log limits change
+    logger.info('Screen-time limits updated', { userId: userId, profileId: profileId || null });
+
+    // Return the resulting status
+    res.json(getScreenTimeStatus(userId, profileId));
+});
+
+// --- Get All Transactions (Admin Endpoint) ---
+// Transaction statuses the admin filters accept
+const TRANSACTION_STATUSES = ['pending', 'completed', 'failed', 'canceled', 'refunded', 'partially_refunded', 'disputed'];
+
+// Page size limits for the admin transaction list
+const DEFAULT_TRANSACTION_PAGE_SIZE = 50;
+const MAX_TRANSACTION_PAGE_SIZE = 200;
+
+// Parse a date or date-time query value; a bare end date covers that whole day
+const parseDateParam = (value, isEnd) => {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        return null;
+    }
+    const dayLength = isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value) ? 24 * 60 * 60 * 1000 : 0;
+    return new Date(time + dayLength).toISOString();
+};
+
+// Read admin transaction filters from the query string; returns { filters } or { error }
+const parseTransactionFilters = (query) => {
+    const { status, from, to, userEmail, purchaseType, appVersion } = query;
+
+    // Status accepts a comma-separated list
+    const statuses = status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : [];
+    const unknown = statuses.filter(s => !TRANSACTION_STATUSES.includes(s));
+    if (unknown.length > 0) {
+        return { error: `Unknown status: ${unknown.join(', ')}. Use one of: ${TRANSACTION_STATUSES.join(', ')}` };
+    }
+
+    // Date range on the creation timestamp (from inclusive, to exclusive)
+    const fromDate = from ? parseDateParam(from, false) : null;
+    const toDate = to ? parseDateParam(to, true) : null;
+    if ((from && !fromDate) || (to && !toDate)) {
+        return { error: 'from and to must be dates (YYYY-MM-DD) or ISO 8601 timestamps' };
+    }
+
+    return {
+        filters: {
+            statuses,                                            // Transaction statuses
+            from: fromDate,                                      // Created at or after
+            to: toDate,                                          // Created before
+            userEmail,                                           // Buyer email (case-insensitive)
+            purchaseType,                                        // Catalog product
+            appVersion                                           // App version at purchase
+        }
+    };
+};
+
+// Opaque page cursors for the admin transaction list (position of the last row on the page)
+const encodeTransactionCursor = (transaction) =>
+    Buffer.from(JSON.stringify([transaction.createdAt, transaction.paymentIntentId])).toString('base64url');
+
+const decodeTransactionCursor = (cursor) => {
+    try {
+        const [createdAt, paymentIntentId] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return typeof createdAt === 'string' && typeof paymentIntentId === 'string' ? { createdAt, paymentIntentId } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Quote a CSV field; a leading formula character is neutralised so spreadsheets show it as text
+const csvField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Columns of the transaction CSV export (amounts in major currency units for bookkeeping)
+const TRANSACTION_CSV_COLUMNS = [
+    ['paymentIntentId', t => t.paymentIntentId],
+    ['createdAt', t => t.createdAt],
+    ['completedAt', t => t.completedAt],
+    ['status', t => t.status],
+    ['userId', t => t.userId],
+    ['userName', t => t.userName],
+    ['userEmail', t => t.userEmail],
+    ['purchaseType', t => t.purchaseType],
+    ['currency', t => t.currency],
+    ['amount', t => (t.amount / 100).toFixed(2)],
+    ['refundedAmount', t => (t.refundedAmount / 100).toFixed(2)],
+    ['disputedAmount', t => (t.disputedAmount / 100).toFixed(2)],
+    ['appVersion', t => t.appVersion],
+    ['deviceInfo', t => t.deviceInfo]
+];
+
+// GET route handler for admin dashboard listing transactions (filtered and paged)
+app.get('/api/admin/transactions', (req, res) => {
+    // Read filters from the query string
+    const { filters, error } = parseTransactionFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    // Continue after the last row of the previous page
+    const before = req.query.cursor ? decodeTransactionCursor(req.query.cursor) : null;
+    if (req.query.cursor && !before) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    // Clamp page size to what we allow per request
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_TRANSACTION_PAGE_SIZE, 1), MAX_TRANSACTION_PAGE_SIZE);
+
+    // Fetch one extra row to know whether another page follows
+    const rows = transactions.search({ ...filters, before }, limit + 1);
+    const page = rows.slice(0, limit);
+
+    // Return the page with summary statistics for everything matching the filters
+    res.json({
+        transactions: page,                                      // Transactions on this page, newest first
+        nextCursor: rows.length > limit ? encodeTransactionCursor(page[page.length - 1]) : null, // Cursor for the next page
+        summary: transactions.summary(filters)                   // Summary statistics for the filtered set
+    });
+});
+
+// GET route handler for exporting filtered transactions as CSV (admin)
+app.get('/api/admin/transactions/export', (req, res) => {
+    // Read filters from the query string
+    const { filters, error } = parseTransactionFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    // Send as a file download
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`transactions-${new Date().toISOString().slice(0, 10)}.csv`);
+
+    // Write header, then stream rows straight from the database
+    res.write(TRANSACTION_CSV_COLUMNS.map(([name]) => name).join(',') + '\r\n');
+    for (const transaction of transactions.iterate(filters)) {
+        res.write(TRANSACTION_CSV_COLUMNS.map(([, read]) => csvField(read(transaction))).join(',') + '\r\n');
+    }
+    res.end();
+});
+
+// GET route handler for the revenue report: totals per day, week and month, conversion and breakdowns (admin)
+app.get('/api/admin/reports/revenue', (req, res) => {
+    // Read filters from the query string
+    const { filters, error } = parseTransactionFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    // Conversion from the per-user purchase counters (attempts are not dated, so this is all-time)
+    const { totalAttempts, successfulPurchases } = users.purchaseCounters();
+
+    res.json({
+        filters: filters,                                        // Applied filters
+        totals: transactions.summary(filters),                   // Totals for the filtered set
+        daily: transactions.revenueByPeriod('day', filters),     // Totals per day
+        weekly: transactions.revenueByPeriod('week', filters),   // Totals per week (starting Monday)
+        monthly: transactions.revenueByPeriod('month', filters), // Totals per month
+        conversion: {                                            // Completed purchases per attempt
+            totalAttempts: totalAttempts,                        // Payment attempts across all users
+            successfulPurchases: successfulPurchases,            // Paid purchases across all users
+            conversionRate: totalAttempts > 0 ? successfulPurchases / totalAttempts : null // Completed divided by attempted
+        },
+        byAppVersion: transactions.revenueByDimension('appVersion', filters), // Totals per app version
+        byDevice: transactions.revenueByDimension('deviceInfo', filters)      // Totals per device
+    });
+});
+
+// Reasons Stripe accepts for a refund
+const REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// POST route handler for refunding a transaction in full or in part (admin)
+app.post('/api/admin/transactions/:paymentIntentId/refund', async (req, res) => {
+    // Extract payment intent ID from URL parameters and refund details from request body
+    const { paymentIntentId } = req.params;
+    const { amount, reason } = req.body || {};
+
+    // Transaction must exist
+    const transaction = transactions.get(paymentIntentId);
+    if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    // Only paid transactions can be refunded
+    if (transaction.status !== 'completed' && transaction.status !== 'partially_refunded') {
+        // Return 409 Conflict for pending, failed, canceled, refunded or disputed transactions
+        return res.status(409).json({
+            error: `Cannot refund a ${transaction.status} transaction`
+        });
+    }
+
+    // Refund what is left by default, or the requested amount in cents
+    const refundable = transaction.amount - transaction.refundedAmount;
+    const refundAmount = amount === undefined ? refundable : amount;
+    if (!Number.isInteger(refundAmount) || refundAmount < 1 || refundAmount > refundable) {
+        return res.status(400).json({
+            error: `amount must be a whole number of cents between 1 and ${refundable}`
+        });
+    }
+    if (reason !== undefined && !REFUND_REASONS.includes(reason)) {
+        return res.status(400).json({
+            error: `reason must be one of: ${REFUND_REASONS.join(', ')}`
+        });
+    }
+
+    try {
+        // Issue the refund in Stripe
+        const refund = await payments.createRefund({
+            payment_intent: paymentIntentId,              // Payment to refund
+            amount: refundAmount,                         // Amount in cents
+            reason: reason,                               // Optional Stripe refund reason
+            metadata: {                                   // Custom metadata for tracking
+                refunded_by: req.user.userId              // Admin who issued the refund
+            }
+        });
+
+        // Update our records right away unless the refund failed (the webhook will confirm). Start from
+        // the stored row: the webhook may already have recorded this refund while Stripe answered
+        if (refund.status !== 'failed' && refund.status !== 'canceled') {
+            const current = transactions.get(paymentIntentId);
+            await applyRefund(current, Math.max(current.refundedAmount, transaction.refundedAmount + refund.amount));
+        }
+
+        // Log admin refund
+        logger.info('Admin refunded payment', { adminId: req.user.userId, paymentIntentId: paymentIntentId, amount: refund.amount, refundStatus: refund.status });
+
+        res.json({
+            transaction: transactions.get(paymentIntentId),      // Updated transaction
+            refund: {                                            // Stripe refund details
+                id: refund.id,                                   // Stripe refund ID
+                amount: refund.amount,                           // Refunded amount
+                status: refund.status                            // Stripe refund status
+            }
+        });
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error refunding payment', { paymentIntentId: paymentIntentId, error });
+
+        // Return error response
+        res.status(error.statusCode || 500).json({
+            error: error.message,                                // Error message
+            type: error.type || 'refund_error'                   // Error type with fallback
+        });
+    }
+});
+
+// POST route handler for canceling a stuck pending transaction (admin)
+app.post('/api/admin/transactions/:paymentIntentId/cancel', async (req, res) => {
+    // Extract payment intent ID from URL parameters
+    const { paymentIntentId } = req.params;
+
+    // Transaction must exist
+    const transaction = transactions.get(paymentIntentId);
+    if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    // Only unpaid transactions can be canceled
+    if (transaction.status !== 'pending' && transaction.status !== 'failed') {
+        // Return 409 Conflict for transactions that were already paid or closed
+        return res.status(409).json({
+            error: `Cannot cancel a ${transaction.status} transaction`
+        });
+    }
+
+    try {
+        // Cancel the payment intent in Stripe so it can no longer be paid
+        const paymentIntent = await payments.cancelIntent(paymentIntentId, {
+            cancellation_reason: 'abandoned'              // Stripe cancellation reason
+        });
+
+        // Update our records right away (the webhook will confirm)
+        handlePaymentCanceled(paymentIntent);
+
+        // Log admin cancellation
+        logger.info('Admin canceled payment', { adminId: req.user.userId, paymentIntentId: paymentIntentId });
+
+        res.json({ transaction: transactions.get(paymentIntentId) });
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error canceling payment', { paymentIntentId: paymentIntentId, error });
+
+        // Return error response
+        res.status(error.statusCode || 500).json({
+            error: error.message,                                // Error message
+            type: error.type || 'cancel_error'                   // Error type with fallback
+        });
+    }
+});
+
+// --- Admin Video Upload & Moderation Endpoints ---
+// Largest video file the upload endpoint accepts, in bytes
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 500 * 1024 * 1024;
+
+// Build Cloudinary upload options from the form fields; returns { options } or { error }
+const buildUploadOptions = (fields, uploadedBy) => {
+    const { title, description, minAge, maxAge, categories, tags, premium } = fields;
+
+    // A title is required so moderators and parents know what the video is
+    if (!title || !title.trim()) {
+        return { error: 'Send the title (and other fields) before the file part' };
+    }
+
+    // Validate age band
+    const min = parseAge(minAge);
+    const max = parseAge(maxAge);
+    if (Number.isNaN(min) || Number.isNaN(max) || (min !== null && max !== null && min > max)) {
+        return { error: 'minAge and maxAge must be whole numbers between 0 and 18, with minAge <= maxAge' };
+    }
+
+    // Premium videos are tagged and stored as authenticated assets (played through signed URLs)
+    const isPremium = premium === 'true';
+    const tagList = (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    if (isPremium && !tagList.includes(PREMIUM_VIDEO_TAG)) {
+        tagList.push(PREMIUM_VIDEO_TAG);
+    }
+
+    return {
+        options: {
+            type: isPremium ? 'authenticated' : 'upload',       // Delivery type
+            tags: tagList,                                      // Tags (premium marker)
+            context: {                                          // Title, description and age rating
+                title: title.trim(),
+                ...(description ? { description: description.trim() } : {}),
+                ...(min !== null ? { min_age: String(min) } : {}),
+                ...(max !== null ? { max_age: String(max) } : {}),
+                ...(categories ? { categories: parseCategories(categories).join(',') } : {}),
+                uploaded_by: uploadedBy
+            }
+        }
+    };
+};
+
+// Shape a Cloudinary resource for the admin moderation views
+const formatModeratedVideo = (resource, moderationStatus) => {
+    // Search API returns context flat, Admin API nests it under `custom`
+    const context = resource.context?.custom || resource.context || {};
+
+    return {
+        // Admins see everything unlocked
+        ...formatVideo(resource, { isPremium: true }),
+        title: context.title || null,                           // Video title
+        description: context.description || null,              // Video description
+        previewUrl: (resource.type || 'upload') === 'upload' && !isPremiumVideo(resource) // URL for the moderator to watch it
+            ? resource.secure_url
+            : buildSignedPlaybackUrl(resource).url,
+        moderationStatus: moderationStatus,                     // pending | approved | rejected
+        moderatedBy: context.moderated_by || null,              // Admin who decided
+        moderatedAt: context.moderated_at || null,              // Decision timestamp
+        rejectionReason: context.rejection_reason || null       // Why it was rejected
+    };
+};
+
+// POST route handler for uploading a video (multipart/form-data: text fields first, then the `file` part)
+app.post('/api/admin/videos', (req, res) => {
+    // Only multipart uploads are accepted
+    if (!req.is('multipart/form-data')) {
+        return res.status(415).json({ error: 'Upload the video as multipart/form-data' });
+    }
+
+    const fields = {};                                          // Text fields received so far
+    let upload = null;                                          // Pending media upload ({ result } or { error })
+    let rejection = null;                                       // First problem with the request ({ status, error })
+
+    let form;
+    try {
+        form = busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    // Collect text fields
+    form.on('field', AsyncResource.bind((name, value) => {
+        fields[name] = value;
+    }));
+
+    // Stream the video part to the media provider as it arrives
+    form.on('file', AsyncResource.bind((name, file, info) => {
+        // Only one `file` part is taken; anything else is drained and ignored
+        if (name !== 'file' || upload || rejection) {
+            return file.resume();
+        }
+
+        if (!info.mimeType.startsWith('video/')) {
+            rejection = { status: 415, error: 'Only video files can be uploaded' };
+            return file.resume();
+        }
+
+        const { options, error } = buildUploadOptions(fields, req.user.userEmail);
+        if (error) {
+            rejection = { status: 400, error: error };
+            return file.resume();
+        }
+
+        // Files over the limit are cut off; the partial upload is deleted below
+        file.on('limit', () => {
+            rejection = { status: 413, error: `Video is larger than ${MAX_UPLOAD_BYTES} bytes` };
+        });
+
+        upload = media.uploadVideo(file, { ...options, filename: info.filename }).then(result => ({ result }), error => ({ error }));
+    }));
+
+    // Reply once the whole request has been read and the media provider has answered
+    form.on('close', AsyncResource.bind(async () => {
+        const { result, error } = upload ? await upload : {};
+
+        // Remove a truncated upload
+        if (rejection && result) {
+            await media.deleteVideo(result)
+                .catch(destroyError => logger.error('Failed to remove rejected upload', { videoId: result.public_id, error: destroyError }));
+        }
+
+        if (rejection) {
+            return res.status(rejection.status).json({ error: rejection.error });
+        }
+        if (error) {
+            // Log error with timestamp
+            logger.error('Error uploading video', { error });
+            return res.status(error.http_code || 500).json({
+                error: error.message,                           // Error message
+                type: 'video_upload_error'                      // Error type
+            });
+        }
+        if (!result) {
+            return res.status(400).json({ error: 'Missing video file (multipart field "file")' });
+        }
+
+        // Log upload
+        logger.info('Admin uploaded video (pending moderation)', { adminId: req.user.userId, videoId: result.public_id });
+
+        // Return 201 Created; the video stays out of the feed until approved
+        res.status(201).json({ video: formatModeratedVideo(result, 'pending') });
+    }));
+
+    // Malformed multipart bodies
+    form.on('error', AsyncResource.bind((error) => {
+        if (!res.headersSent) {
+            res.status(400).json({ error: `Invalid upload: ${error.message}` });
+        }
+    }));
+
+    req.pipe(form);
+});
+
+// GET route handler for the moderation queue (?status=pending|approved|rejected, limit, cursor)
+app.get('/api/admin/videos/moderation', async (req, res) => {
+    const { status = 'pending', limit, cursor } = req.query;
+
+    // Validate moderation status
+    if (!MODERATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: `status must be one of: ${MODERATION_STATUSES.join(', ')}`
+        });
+    }
+
+    try {
+        const page = await media.listModerationQueue({ status, limit, cursor });
+
+        res.json({
+            videos: page.resources.map(resource => formatModeratedVideo(resource, status)), // Videos in this state
+            nextCursor: page.nextCursor                         // Cursor for the next page
+        });
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error listing moderation queue', { error });
+
+        res.status(error.http_code || 500).json({
+            error: error.message,                               // Error message
+            type: 'moderation_queue_error'                      // Error type
+        });
+    }
+});
+
+// Approve or reject a video on behalf of the calling admin
+const moderateVideo = async (req, res, status) => {
+    // Extract video public ID (URL-encoded by the app) and optional reason
+    const publicId = req.params.id;
+    const { reason } = req.body || {};
+
+    try {
+        // Pending, approved and rejected videos can all be (re)moderated
+        const resource = await media.findVideo(publicId, { includeUnapproved: true });
+        if (!resource) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
 
-// Create Express application instance
-const app = express();
+        // Record the decision with the media provider
+        const details = {
+            moderated_by: req.user.userEmail,                   // Admin who decided
+            moderated_at: new Date().toISOString(),             // Decision timestamp
+            rejection_reason: status === 'rejected' ? String(reason || '') : '' // Why it was rejected
+        };
+        await media.setModerationStatus(resource, status, details);
 
-// Set server port from environment variable or default to 3001
-const port = process.env.PORT || 3001;
+        // Approving or rejecting changes what the feed shows
+        catalogCache.clear();
 
-// --- Cloudinary Configuration ---
-// Check if all required Cloudinary environment variables exist
-if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-    // Log critical error message to console
-    console.error("CRITICAL ERROR: Cloudinary environment variables missing. Please check your .env file.");
-    // Exit the process with error code 1
-    process.exit(1);
-}
+        // Log moderation decision
+        logger.info('Admin moderated video', { adminId: req.user.userId, videoId: publicId, moderationStatus: status });
 
-// Configure Cloudinary with credentials from environment variables
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,    // Cloudinary cloud name
-    api_key: process.env.CLOUDINARY_API_KEY,          // Cloudinary API key
-    api_secret: process.env.CLOUDINARY_API_SECRET,    // Cloudinary API secret
-    secure: true                                       // Use HTTPS for all requests
-});
+        res.json({
+            video: {
+                id: publicId,                                   // Cloudinary public ID
+                moderationStatus: status,                       // New moderation state
+                moderatedBy: details.moderated_by,              // Admin who decided
+                moderatedAt: details.moderated_at,              // Decision timestamp
+                rejectionReason: details.rejection_reason || null // Why it was rejected
+            }
+        });
 
-// Log successful Cloudinary configuration with cloud name
-console.log(`Cloudinary configured for cloud: ${cloudinary.config().cloud_name}`);
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error moderating video', { videoId: publicId, error });
 
-// --- Stripe Configuration Check ---
-// Verify that Stripe secret key exists in environment variables
-if (!process.env.STRIPE_SECRET_KEY) {
-    // Log critical error and exit if Stripe key is missing
-    console.error("CRITICAL ERROR: STRIPE_SECRET_KEY environment variable missing. Please check your .env file.");
-    process.exit(1);
-}
-// Log successful Stripe configuration
-console.log('Stripe configured successfully');
+        res.status(error.http_code || 500).json({
+            error: error.message,                               // Error message
+            type: 'video_moderation_error'                      // Error type
+        });
+    }
+};
 
-// --- Middleware ---
-// Enable CORS for all routes (allows cross-origin requests)
-app.use(cors());
+// POST route handlers approving a video into the public feed, or rejecting it
+app.post('/api/admin/videos/:id/approve', (req, res) => moderateVideo(req, res, 'approved'));
+app.post('/api/admin/videos/:id/reject', (req, res) => moderateVideo(req, res, 'rejected'));
 
-// Parse incoming JSON request bodies
-app.use(express.json());
+// --- Playlist Endpoints ---
+// Size of playlist cover thumbnails
+const PLAYLIST_COVER_SIZE = { width: 600, height: 338 };
 
-// --- In-Memory Storage for Demo (Replace with Database in Production) ---
-// Create Map to store transaction data using payment_intent_id as key
-const transactions = new Map(); // Store transactions by payment_intent_id
+// Most videos a playlist can hold (they are fetched in a single Cloudinary search)
+const MAX_PLAYLIST_VIDEOS = MAX_PAGE_SIZE;
 
-// Create Map to store user data using user_id as key
-const users = new Map(); // Store user data by user_id
+// Validate playlist fields (merged over an existing playlist); returns { playlist } or { error }
+const validatePlaylistInput = (body, existing = {}) => {
+    const pick = (field, fallback) => body[field] !== undefined ? body[field] : (existing[field] ?? fallback);
+    const title = pick('title');
+    const description = pick('description', null);
+    const videoIds = pick('videoIds', []);
+    const isPremium = pick('isPremium', false);
+    const position = pick('position', null);
 
-// --- Enhanced Payment Endpoint ---
-// POST route handler for creating payment intents
-app.post('/api/create-payment', async (req, res) => {
-    // Log timestamp and route access
-    console.log(`[${new Date().toISOString()}] Received request for /api/create-payment`);
-    
-    try {
-        // Destructure user information from request body with default values
-        const {
-            userEmail,                                    // User's email address
-            userName,                                     // User's display name
-            userId,                                       // Unique user identifier
-            deviceInfo,                                   // Device information (optional)
-            appVersion,                                   // App version (optional)
-            purchaseType = 'unlimited_video_selection'   // Purchase type with default value
-        } = req.body;
+    // Validate title and description
+    if (typeof title !== 'string' || title.trim().length === 0 || title.trim().length > 80) {
+        return { error: 'title is required and must be at most 80 characters' };
+    }
+    if (description !== null && (typeof description !== 'string' || description.length > 500)) {
+        return { error: 'description must be a string of at most 500 characters' };
+    }
 
-        // Validate that all required user fields are present
-        if (!userEmail || !userName || !userId) {
-            // Return 400 Bad Request with error message
-            return res.status(400).json({
-                error: 'Missing required user information: userEmail, userName, and userId are required'
-            });
-        }
+    // Validate ordered video list
+    if (!Array.isArray(videoIds) || !videoIds.every(id => typeof id === 'string' && id.length > 0)) {
+        return { error: 'videoIds must be an array of video public IDs' };
+    }
+    if (new Set(videoIds).size !== videoIds.length || videoIds.length > MAX_PLAYLIST_VIDEOS) {
+        return { error: `videoIds must be unique and at most ${MAX_PLAYLIST_VIDEOS} long` };
+    }
 
-        // Define regular expression for email validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        
-        // Test email format against regex pattern
-        if (!emailRegex.test(userEmail)) {
-            // Return 400 Bad Request for invalid email format
-            return res.status(400).json({
-                error: 'Invalid email format'
-            });
+    // The cover must be one of the playlist's videos (defaults to the first one, also when the old cover was removed)
+    let coverVideoId = pick('coverVideoId', null);
+    if (body.coverVideoId === undefined && !videoIds.includes(coverVideoId)) {
+        coverVideoId = null;
+    }
+    if (coverVideoId !== null && !videoIds.includes(coverVideoId)) {
+        return { error: 'coverVideoId must be one of videoIds' };
+    }
+
+    // Validate premium flag and display position
+    if (typeof isPremium !== 'boolean') {
+        return { error: 'isPremium must be true or false' };
+    }
+    if (position !== null && (!Number.isInteger(position) || position < 0)) {
+        return { error: 'position must be a whole number of at least 0' };
+    }
+
+    return {
+        playlist: {
+            title: title.trim(),                          // Display title
+            description: description,                     // Short description
+            videoIds: videoIds,                           // Ordered video public IDs
+            coverVideoId: coverVideoId || videoIds[0] || null, // Cover video
+            isPremium: isPremium,                         // Requires premium
+            position: position                            // Display order (null = last)
         }
+    };
+};
 
-        // Set payment amount in cents ($9.99 = 999 cents)
-        const amount = 999; // $9.99 in cents
-        
-        // Set payment currency
-        const currency = 'usd';
+// Check that every playlist video exists in Cloudinary; returns the cover's delivery type or { error }
+const resolvePlaylistVideos = async (playlist) => {
+    // Admins may add videos that are still waiting for moderation
+    const resources = await media.findVideosByIds(playlist.videoIds, { includeUnapproved: true });
+    const found = new Map(resources.map(resource => [resource.public_id, resource]));
 
-        // Log payment creation details
-        console.log(`Creating payment intent for user: ${userName} (${userEmail}) - $${amount/100}`);
+    const missing = playlist.videoIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+        return { error: `Unknown videos: ${missing.join(', ')}` };
+    }
 
-        // Create Stripe payment intent with enhanced metadata
-        const paymentIntent = await stripe.paymentIntents.create({
-            amount: amount,                               // Payment amount in smallest currency unit
-            currency: currency,                           // Payment currency
-            automatic_payment_methods: {                  // Enable automatic payment method selection
-                enabled: true,
-            },
-            metadata: {                                   // Custom metadata for tracking
-                user_id: userId,                          // Store user ID
-                user_name: userName,                      // Store user name
-                user_email: userEmail,                    // Store user email
-                purchase_type: purchaseType,              // Store purchase type
-                app_name: 'Kid Tok Premium',              // App name identifier
-                app_version: appVersion || 'unknown',     // App version or default
-                device_info: deviceInfo || 'unknown',     // Device info or default
-                purchase_timestamp: new Date().toISOString(), // Current timestamp
-                amount_usd: (amount / 100).toString()     // Amount in dollars as string
-            },
-            receipt_email: userEmail,                     // Email for payment receipt
-            description: `Kid Tok Premium - Unlimited Video Access for ${userName}`, // Payment description
+    // Thumbnails of protected videos need the delivery type to be signed
+    const cover = found.get(playlist.coverVideoId);
+    return { coverType: cover ? cover.type || 'upload' : null };
+};
+
+// Transform a playlist into the summary returned to the app
+const formatPlaylist = (playlist, entitlement) => ({
+    id: playlist.playlistId,                                    // Playlist identifier
+    title: playlist.title,                                      // Display title
+    description: playlist.description,                          // Short description
+    coverUrl: playlist.coverVideoId                             // Generated cover thumbnail URL
+        ? buildThumbnailUrl({ public_id: playlist.coverVideoId, type: playlist.coverType }, PLAYLIST_COVER_SIZE)
+        : null,
+    videoCount: playlist.videoIds.length,                       // Number of videos
+    isPremium: playlist.isPremium,                              // Playlist requires premium
+    locked: playlist.isPremium && !entitlement.isPremium        // Caller cannot open it yet
+});
+
+// GET route handler for listing playlists
+app.get('/api/playlists', catalogAuthenticate, catalogRateLimit, (req, res) => {
+    // Resolve what the caller has unlocked (free tier when anonymous)
+    const entitlement = getEntitlementSummary(req.user?.userId || null);
+
+    sendCatalogResponse(req, res, {
+        playlists: playlists.list().map(playlist => formatPlaylist(playlist, entitlement)) // Playlists in display order
+    });
+});
+
+// GET route handler for one playlist with its videos (same video shape as /api/videos)
+app.get('/api/playlists/:id', catalogAuthenticate, catalogRateLimit, async (req, res) => {
+    // Caller from the session token (null for anonymous callers)
+    const userId = req.user?.userId || null;
+    const entitlement = getEntitlementSummary(userId);
+
+    // Playlist must exist
+    const playlist = playlists.get(req.params.id);
+    if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    // Preferred rendition quality for the videos
+    const quality = parseQuality(req.query.quality);
+    if (!quality) {
+        return res.status(400).json({ error: `quality must be one of: ${Object.keys(QUALITY_TIERS).join(', ')}` });
+    }
+
+    // Premium playlists open for premium users only
+    const summary = formatPlaylist(playlist, entitlement);
+    if (summary.locked) {
+        // Return 403 Forbidden with the playlist summary so the app can show the paywall
+        return res.status(403).json({
+            error: 'Premium access required to open this playlist',
+            locked: true,
+            playlist: summary
         });
+    }
 
-        // Create transaction data object for in-memory storage
-        const transactionData = {
-            paymentIntentId: paymentIntent.id,            // Stripe payment intent ID
-            userId: userId,                               // User identifier
-            userName: userName,                           // User display name
-            userEmail: userEmail,                         // User email address
-            amount: amount,                               // Payment amount
-            currency: currency,                           // Payment currency
-            status: 'pending',                            // Initial status
-            createdAt: new Date().toISOString(),          // Creation timestamp
-            deviceInfo: deviceInfo,                       // Device information
-            appVersion: appVersion,                       // App version
-            purchaseType: purchaseType                    // Type of purchase
-        };
+    // Resolve parent settings, narrowed by the selected child profile
+    const viewer = getCatalogViewerSettings(userId, req.query.profileId);
+    if (viewer.error) {
+        return res.status(viewer.status).json({ error: viewer.error });
+    }
 
-        // Store transaction data in Map using payment intent ID as key
-        transactions.set(paymentIntent.id, transactionData);
-
-        // Check if user already exists in users Map
-        if (users.has(userId)) {
-            // Get existing user data
-            const existingUser = users.get(userId);
-            // Update last purchase attempt timestamp
-            existingUser.lastPurchaseAttempt = new Date().toISOString();
-            // Increment total attempts counter (with fallback to 0)
-            existingUser.totalAttempts = (existingUser.totalAttempts || 0) + 1;
-        } else {
-            // Create new user record if user doesn't exist
-            users.set(userId, {
-                userId: userId,                           // User identifier
-                userName: userName,                       // User display name
-                userEmail: userEmail,                     // User email
-                firstSeen: new Date().toISOString(),      // First time user was seen
-                lastPurchaseAttempt: new Date().toISOString(), // Last purchase attempt
-                totalAttempts: 1,                         // Initialize attempt counter
-                successfulPurchases: 0,                   // Initialize successful purchases
-                totalSpent: 0                            // Initialize total amount spent
-            });
-        }
+    // Block playlists once today's screen time is used up or outside allowed hours
+    const screenTimeStatus = userId ? getScreenTimeStatus(userId, req.query.profileId) : null;
+    if (screenTimeStatus?.limitReached) {
+        return res.status(403).json(screenTimeLimitBody(screenTimeStatus));
+    }
 
-        // Log successful payment intent creation
-        console.log(`Payment Intent created successfully: ${paymentIntent.id}`);
-        console.log(`Transaction stored for user: ${userName} (${userId})`);
-        
-        // Send enhanced response with payment details
-        res.json({
-            clientSecret: paymentIntent.client_secret,    // Client secret for frontend
-            paymentIntentId: paymentIntent.id,            // Payment intent ID
-            amount: amount,                               // Payment amount
-            currency: currency,                           // Payment currency
-            userDetails: {                                // User information object
-                userId: userId,                           // User ID
-                userName: userName,                       // User name
-                userEmail: userEmail                      // User email
-            },
-            transactionDetails: {                         // Transaction details object
-                description: paymentIntent.description,   // Payment description
-                receiptEmail: userEmail,                  // Receipt email
-                timestamp: new Date().toISOString()       // Current timestamp
+    try {
+        // Fetch the approved videos (cached) and put them back in playlist order
+        const resources = await catalogCache.get(
+            JSON.stringify(['videosByIds', playlist.videoIds]),
+            () => media.findVideosByIds(playlist.videoIds)
+        );
+        const byId = new Map(resources.map(resource => [resource.public_id, resource]));
+
+        // Apply the same content rules as the feed
+        const filters = buildContentFilters(req.query, viewer.settings);
+        const videos = playlist.videoIds
+            .filter(id => byId.has(id))                               // Skip removed or unapproved videos
+            .map(id => formatVideo(byId.get(id), entitlement, quality)) // Shape each video for the app
+            .filter(video => matchesContentFilters(video, filters));  // Apply age/category/blocked rules
+
+        sendCatalogResponse(req, res, {
+            playlist: summary,                                   // Playlist summary
+            videos: videos,                                      // Videos in playlist order
+            profileId: viewer.profile?.profileId || null,        // Child profile the list was built for
+            filters: filters,                                    // Content filters that were applied
+            screenTime: screenTimeStatus,                        // Today's usage and limits (null when anonymous)
+            access: {                                            // Caller's access tier
+                tier: entitlement.tier,
+                isPremium: entitlement.isPremium
             }
         });
 
     } catch (error) {
         // Log error with timestamp
-        console.error(`[${new Date().toISOString()}] Error creating payment intent:`, error.message);
-        
-        // Return error response with status 400
-        res.status(400).json({ 
-            error: error.message,                         // Error message
-            type: error.type || 'payment_creation_error' // Error type with fallback
+        logger.error('Error loading playlist', { playlistId: playlist.playlistId, error: error.error || error });
+
+        res.status(error.http_code || 500).json({
+            error: error.error?.message || error.message        // Error message
         });
     }
 });
 
-// --- Payment Success Webhook/Confirmation Endpoint ---
-// POST route handler for confirming payment completion
-app.post('/api/confirm-payment', async (req, res) => {
-    // Log payment confirmation request
-    console.log(`[${new Date().toISOString()}] Received payment confirmation`);
-    
-    try {
-        // Extract payment intent ID and user ID from request body
-        const { paymentIntentId, userId } = req.body;
+// GET route handler for listing playlists with their raw video lists (admin)
+app.get('/api/admin/playlists', (req, res) => {
+    res.json({ playlists: playlists.list() });
+});
 
-        // Validate required parameters
-        if (!paymentIntentId || !userId) {
-            // Return error if required parameters are missing
-            return res.status(400).json({
-                error: 'Missing paymentIntentId or userId'
-            });
+// Validate and save a new or changed playlist for the admin endpoints
+const savePlaylist = async (req, res, existing) => {
+    // Validate fields (on top of the existing playlist when updating)
+    const { error, playlist } = validatePlaylistInput(req.body || {}, existing);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    try {
+        // Every video must exist in Cloudinary
+        const resolved = await resolvePlaylistVideos(playlist);
+        if (resolved.error) {
+            return res.status(400).json({ error: resolved.error });
         }
 
-        // Retrieve payment intent from Stripe to verify status
-        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-        
-        // Check if payment was successful
-        if (paymentIntent.status === 'succeeded') {
-            // Check if transaction exists in our records
-            if (transactions.has(paymentIntentId)) {
-                // Get transaction data from Map
-                const transaction = transactions.get(paymentIntentId);
-                // Update transaction status to completed
-                transaction.status = 'completed';
-                // Add completion timestamp
-                transaction.completedAt = new Date().toISOString();
-                // Save updated transaction back to Map
-                transactions.set(paymentIntentId, transaction);
-            }
+        // Save playlist
+        const saved = playlists.save({ ...existing, ...playlist, coverType: resolved.coverType });
 
-            // Check if user exists in our records
-            if (users.has(userId)) {
-                // Get user data from Map
-                const user = users.get(userId);
-                // Increment successful purchases counter
-                user.successfulPurchases += 1;
-                // Add payment amount to total spent
-                user.totalSpent += paymentIntent.amount;
-                // Update last successful purchase timestamp
-                user.lastSuccessfulPurchase = new Date().toISOString();
-                // Mark user as premium
-                user.isPremium = true;
-                // Save updated user data back to Map
-                users.set(userId, user);
-            }
+        // Log playlist change
+        logger.info(`Admin ${existing ? 'updated' : 'created'} playlist`, { adminId: req.user.userId, playlistId: saved.playlistId });
 
-            // Log successful payment confirmation
-            console.log(`Payment confirmed for user ${userId}: ${paymentIntentId}`);
-            
-            // Return success response
-            res.json({
-                success: true,                            // Success flag
-                message: 'Payment confirmed successfully', // Success message
-                paymentDetails: {                         // Payment details object
-                    paymentIntentId: paymentIntentId,     // Payment intent ID
-                    amount: paymentIntent.amount,         // Payment amount
-                    status: paymentIntent.status          // Payment status
-                }
-            });
-        } else {
-            // Log unsuccessful payment status
-            console.log(`Payment not successful: ${paymentIntent.status}`);
-            
-            // Return error for unsuccessful payment
-            res.status(400).json({
-                error: 'Payment not completed',           // Error message
-                status: paymentIntent.status              // Current payment status
-            });
-        }
+        // Return 201 Created for new playlists
+        res.status(existing ? 200 : 201).json(saved);
 
     } catch (error) {
         // Log error with timestamp
-        console.error(`[${new Date().toISOString()}] Error confirming payment:`, error.message);
-        
-        // Return server error response
-        res.status(500).json({
-            error: error.message,                         // Error message
-            type: 'payment_confirmation_error'            // Error type
-        });
-    }
-});
+        logger.error('Error saving playlist', { error: error.error || error });
 
-// --- Get User Details Endpoint ---
-// GET route handler for retrieving user information and transaction history
-app.get('/api/user/:userId', (req, res) => {
-    // Extract user ID from URL parameters
-    const { userId } = req.params;
-    
-    // Check if user exists in our records
-    if (!users.has(userId)) {
-        // Return 404 Not Found if user doesn't exist
-        return res.status(404).json({
-            error: 'User not found'
+        res.status(error.http_code || 500).json({
+            error: error.error?.message || error.message        // Error message
         });
     }
+};
 
-    // Get user data from Map
-    const userData = users.get(userId);
-    
-    // Filter and sort user's transactions by creation date (newest first)
-    const userTransactions = Array.from(transactions.values())  // Convert Map values to array
-        .filter(t => t.userId === userId)                       // Filter transactions for this user
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)); // Sort by date descending
+// POST route handler for creating a playlist (admin)
+app.post('/api/admin/playlists', (req, res) => savePlaylist(req, res, undefined));
 
-    // Return user data with transaction history and summary
-    res.json({
-        user: userData,                                   // User information
-        transactions: userTransactions,                   // User's transaction history
-        summary: {                                        // Summary statistics
-            totalTransactions: userTransactions.length,  // Total number of transactions
-            successfulTransactions: userTransactions.filter(t => t.status === 'completed').length, // Successful transactions count
-            totalSpent: userData.totalSpent,              // Total amount spent
-            isPremium: userData.isPremium || false        // Premium status with fallback
-        }
-    });
+// PUT route handler for updating a playlist (admin)
+app.put('/api/admin/playlists/:id', (req, res) => {
+    // Playlist must exist
+    const existing = playlists.get(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    return savePlaylist(req, res, existing);
 });
 
-// --- Get All Transactions (Admin Endpoint) ---
-// GET route handler for admin dashboard showing all transactions
-app.get('/api/admin/transactions', (req, res) => {
-    // Get all transactions and sort by creation date (newest first)
-    const allTransactions = Array.from(transactions.values())   // Convert Map values to array
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)); // Sort by date descending
-
-    // Calculate summary statistics
-    const summary = {
-        totalTransactions: allTransactions.length,               // Total transaction count
-        completedTransactions: allTransactions.filter(t => t.status === 'completed').length, // Completed transactions
-        pendingTransactions: allTransactions.filter(t => t.status === 'pending').length,     // Pending transactions
-        totalRevenue: allTransactions                            // Calculate total revenue
-            .filter(t => t.status === 'completed')              // Only completed transactions
-            .reduce((sum, t) => sum + t.amount, 0),              // Sum all amounts
-        uniqueUsers: new Set(allTransactions.map(t => t.userId)).size // Count unique users
-    };
+// DELETE route handler for removing a playlist (admin)
+app.delete('/api/admin/playlists/:id', (req, res) => {
+    // Playlist must exist
+    if (!playlists.get(req.params.id)) {
+        return res.status(404).json({ error: 'Playlist not found' });
+    }
 
-    // Return all transactions with summary
-    res.json({
-        transactions: allTransactions,                           // All transaction data
-        summary: summary                                         // Summary statistics
-    });
+    // Delete playlist
+    playlists.remove(req.params.id);
+
+    // Log playlist deletion
+    logger.info('Admin deleted playlist', { adminId: req.user.userId, playlistId: req.params.id });
+
+    // Return 204 No Content
+    res.status(204).end();
 });
 
-// --- Your existing endpoints remain the same ---
-// GET route handler for fetching videos from Cloudinary
-app.get('/api/videos', async (req, res) => {
-    // ... your existing videos endpoint code
-    
+// --- Video Feed Endpoint ---
+// Send a page of videos from Cloudinary (the feed, or search results when `text` is given)
+// Query: limit, cursor (from nextCursor), sort (newest | duration | name), folder, tag, profileId,
+//        minAge, maxAge, categories (comma separated)
+// Anonymous callers get the free tier; a Bearer token unlocks the caller's entitlements and settings.
+// Filtering happens after the Cloudinary page is fetched, so a page may hold fewer than `limit` videos;
+// keep following nextCursor until it is null.
+const sendVideoPage = async (req, res, { text } = {}) => {
     // Record start time for performance measurement
     const startTime = Date.now();
     
     // Log request timestamp
-    console.log(`[${new Date().toISOString()}] Received request for /api/videos`);
+    logger.debug('Received catalog request', { path: req.path });
+
+    // Caller from the session token (null for anonymous callers)
+    const userId = req.user?.userId || null;
+
+    // Resolve what the caller has unlocked (free tier when anonymous)
+    const entitlement = getEntitlementSummary(userId);
     
     try {
-        // Log attempt to fetch videos
-        console.log("Attempting to fetch videos using Cloudinary Search API...");
-        
-        // Execute Cloudinary search for video resources
-        const result = await cloudinary.search
-            .expression('resource_type:video')                   // Search for video resources only
-            .sort_by('created_at', 'desc')                       // Sort by creation date descending
-            .max_results(50)                                     // Limit results to 50 items
-            .execute();                                          // Execute the search
+        // Extract paging, sorting and filter options from query string
+        const { limit, cursor, sort, folder, tag } = req.query;
+
+        // Validate age filters before calling Cloudinary
+        if (Number.isNaN(parseAge(req.query.minAge)) || Number.isNaN(parseAge(req.query.maxAge))) {
+            // Return 400 Bad Request for ages outside 0-18
+            return res.status(400).json({
+                message: 'minAge and maxAge must be whole numbers between 0 and 18'
+            });
+        }
+
+        // Validate the preferred rendition quality
+        const quality = parseQuality(req.query.quality);
+        if (!quality) {
+            // Return 400 Bad Request for unknown tiers
+            return res.status(400).json({
+                message: `quality must be one of: ${Object.keys(QUALITY_TIERS).join(', ')}`
+            });
+        }
+
+        // Paging, sorting and filter options identify the page in the catalog cache
+        const options = {
+            limit,                                               // Page size (default 50, max 100)
+            cursor,                                              // Cursor from previous page's nextCursor
+            sort,                                                // Sort option (default newest)
+            folder,                                              // Optional folder filter
+            tag,                                                 // Optional tag filter
+            text                                                 // Optional text search
+        };
+
+        // Get one page of video resources from the cache, or from the Cloudinary Search API
+        const result = await catalogCache.get(JSON.stringify(['videos', options]), () => media.listVideos(options));
 
         // Calculate search duration
         const durationMsSearch = Date.now() - startTime;
         
         // Log search completion and results count
-        console.log(`Cloudinary search completed in ${durationMsSearch}ms. Found ${result.resources?.length || 0} video resources.`);
-
-        // Transform Cloudinary resources into frontend-friendly format
-        const videos = result.resources.map((resource) => {
-            // Generate thumbnail URL using Cloudinary transformations
-            const thumbnailUrl = cloudinary.url(resource.public_id, {
-                resource_type: 'video',                          // Specify video resource type
-                transformation: [
-                    { width: 300, height: 169, crop: 'fill', gravity: 'auto' }, // Resize and crop thumbnail
-                    { fetch_format: 'jpg', quality: 'auto:good' } // Convert to JPG with auto quality
-                ]
-            });
+        logger.info('Catalog page loaded', { durationMs: durationMsSearch, resources: result.resources?.length || 0 });
 
-            // Initialize formatted duration
-            let formattedDuration = 'N/A';
-            
-            // Format duration if available
-            if (resource.duration) {
-                // Calculate minutes from duration in seconds
-                const minutes = Math.floor(resource.duration / 60);
-                // Calculate remaining seconds
-                const seconds = Math.floor(resource.duration % 60);
-                // Format as MM:SS with zero padding
-                formattedDuration = `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
-            }
+        // Resolve parent settings, narrowed by the selected child profile
+        const viewer = getCatalogViewerSettings(userId, req.query.profileId);
+        if (viewer.error) {
+            // Return 404 Not Found for unknown or foreign profiles, 400 Bad Request when one is needed
+            return res.status(viewer.status).json({ message: viewer.error });
+        }
 
-            // Return formatted video object
-            return {
-                id: resource.public_id,                          // Cloudinary public ID
-                url: resource.secure_url,                        // HTTPS video URL
-                thumbnailUrl: thumbnailUrl,                      // Generated thumbnail URL
-                filename: resource.filename || resource.public_id.split('/').pop() || 'Video', // Filename with fallbacks
-                duration: resource.duration || null,             // Duration in seconds
-                formattedDuration: formattedDuration,            // Human-readable duration
-                width: resource.width || null,                   // Video width
-                height: resource.height || null,                 // Video height
-                format: resource.format,                         // Video format
-                created_at: resource.created_at                  // Creation timestamp
-            };
-        });
+        // Block the feed once today's screen time is used up or outside allowed hours
+        const screenTimeStatus = userId ? getScreenTimeStatus(userId, req.query.profileId) : null;
+        if (screenTimeStatus?.limitReached) {
+            return res.status(403).json(screenTimeLimitBody(screenTimeStatus));
+        }
+
+        // Build content filters from the query plus the viewer's saved settings
+        const filters = buildContentFilters(req.query, viewer.settings);
+
+        // Transform Cloudinary resources into frontend-friendly format, dropping filtered-out videos
+        const videos = result.resources
+            .map(resource => formatVideo(resource, entitlement, quality)) // Shape each video for the app
+            .filter(video => matchesContentFilters(video, filters));  // Apply age/category/blocked rules
 
         // Calculate total processing time
         const endTime = Date.now();
         const durationMsTotal = endTime - startTime;
         
         // Log successful processing
-        console.log(`Successfully processed ${videos.length} videos for response in ${durationMsTotal}ms total.`);
+        logger.info('Catalog response ready', { videos: videos.length, resources: result.resources.length, durationMs: durationMsTotal });
 
-        // Return successful response with videos array
-        res.status(200).json({ videos: videos });
+        // Return successful response with videos array (304 when the app already has it)
+        sendCatalogResponse(req, res, {
+            ...(text !== undefined ? { query: text } : {}),      // Search query (search results only)
+            videos: videos,                                      // Videos array
+            nextCursor: result.nextCursor,                       // Cursor for the next page (null on last page)
+            totalCount: result.totalCount,                       // Total matching videos (before content filters)
+            profileId: viewer.profile?.profileId || null,        // Child profile the feed was built for
+            filters: filters,                                    // Content filters that were applied
+            screenTime: screenTimeStatus,                        // Today's usage and limits (null when anonymous)
+            access: {                                            // Caller's access tier
+                tier: entitlement.tier,
+                isPremium: entitlement.isPremium
+            }
+        });
 
     } catch (error) {
         // Calculate error processing time
@@ -436,7 +3350,7 @@ app.get('/api/videos', async (req, res) => {
         const durationMs = endTime - startTime;
         
         // Log error with timestamp and duration
-        console.error(`[${new Date().toISOString()}] Error in /api/videos after ${durationMs}ms:`, error.error || error);
+        logger.error('Error loading catalog', { path: req.path, durationMs: durationMs, error: error.error || error });
 
         // Determine HTTP status code from error
         let statusCode = error.http_code || 500;
@@ -450,56 +3364,236 @@ app.get('/api/videos', async (req, res) => {
             error: process.env.NODE_ENV === 'development' ? (error.error || error) : undefined // Include error details only in development
         });
     }
+};
+
+// GET route handler for fetching a page of the video feed
+app.get('/api/videos', catalogAuthenticate, catalogRateLimit, (req, res) => sendVideoPage(req, res));
+
+// GET route handler for searching videos by filename, tags, title, description and categories
+// Query: q (every word must match the start of a word in one of those fields), plus the feed's query options
+app.get('/api/videos/search', catalogAuthenticate, catalogRateLimit, (req, res) => {
+    const { q } = req.query;
+
+    // Validate search text
+    if (typeof q !== 'string' || q.trim().length === 0 || q.length > 100) {
+        // Return 400 Bad Request for a missing or oversized query
+        return res.status(400).json({
+            message: 'q is required and must be at most 100 characters'
+        });
+    }
+
+    return sendVideoPage(req, res, { text: q });
+});
+
+// --- Video Playback Endpoint ---
+// GET route handler issuing a playback URL (short-lived and signed for premium videos)
+app.get('/api/videos/:id/play', catalogAuthenticate, catalogRateLimit, async (req, res) => {
+    // Extract video public ID (URL-encoded by the app), profile and caller
+    const publicId = req.params.id;
+    const { profileId } = req.query;
+    const userId = req.user?.userId || null;
+
+    // Preferred rendition quality
+    const quality = parseQuality(req.query.quality);
+    if (!quality) {
+        return res.status(400).json({ error: `quality must be one of: ${Object.keys(QUALITY_TIERS).join(', ')}` });
+    }
+
+    // Log playback request
+    logger.debug('Received playback request', { videoId: publicId, userId: userId || undefined });
+
+    try {
+        // Look up the video in Cloudinary
+        const resource = await media.findVideo(publicId);
+
+        // Return 404 Not Found for unknown videos
+        if (!resource) {
+            return res.status(404).json({
+                error: 'Video not found'
+            });
+        }
+
+        // Check premium access before handing out anything playable
+        const premiumOnly = isPremiumVideo(resource);
+        if (premiumOnly && !getEntitlementSummary(userId).isPremium) {
+            // Return 403 Forbidden for users without the premium entitlement
+            return res.status(403).json({
+                error: 'Premium access required to play this video',
+                locked: true
+            });
+        }
+
+        // Apply the parent's (and child profile's) content rules to direct playback as well
+        const viewer = getCatalogViewerSettings(userId, profileId);
+        if (viewer.error) {
+            // Return 404 Not Found for unknown or foreign profiles, 400 Bad Request when one is needed
+            return res.status(viewer.status).json({ error: viewer.error });
+        }
+        // Refuse playback once a screen-time limit is reached
+        const screenTimeStatus = userId ? getScreenTimeStatus(userId, profileId) : null;
+        if (screenTimeStatus?.limitReached) {
+            return res.status(403).json(screenTimeLimitBody(screenTimeStatus));
+        }
+
+        const filters = buildContentFilters({}, viewer.settings);
+        if (!matchesContentFilters(formatVideo(resource, { isPremium: true }), filters)) {
+            // Return 403 Forbidden for videos the parent does not allow
+            return res.status(403).json({
+                error: 'This video is not allowed by parental settings'
+            });
+        }
+
+        // Free public (upload type) assets already have permanent URLs; premium videos always get a
+        // short-lived signed URL, whatever their delivery type (see scripts/protect-premium-videos.js)
+        const isPermanent = !premiumOnly && (resource.type || 'upload') === 'upload';
+        const playback = isPermanent
+            ? { url: resource.secure_url, expiresAt: null }
+            : buildSignedPlaybackUrl(resource);
+
+        // Return playback URL and streaming renditions
+        res.json({
+            id: resource.public_id,                              // Cloudinary public ID
+            url: playback.url,                                   // URL to play
+            expiresAt: playback.expiresAt,                       // Expiry (null = permanent)
+            renditions: isPermanent                              // HLS/DASH/MP4 URLs (null when only `url` can be played)
+                ? buildRenditionUrls(resource, quality)
+                : buildSignedRenditionUrls(resource, quality),
+            isPremium: premiumOnly                               // Video requires premium
+        });
+
+    } catch (error) {
+        // Log error with timestamp
+        logger.error('Error creating playback URL', { videoId: publicId, error: error.error || error });
+
+        // Return error response
+        res.status(error.http_code || 500).json({
+            message: error.error?.message || error.message || 'Internal Server Error occurred while creating playback URL.'
+        });
+    }
+});
+
+// --- Health, Readiness & Metrics Endpoints ---
+// Dependency probes (each throws when its dependency cannot be used), run with a timeout and cached briefly
+const healthChecks = createHealthChecks({
+    checks: {
+        database: () => storage.db.prepare('SELECT 1').get(),   // SQLite answers queries
+        payments: () => payments.ping(),                        // Payment provider is reachable and accepts our key
+        media: () => media.ping()                               // Media provider is reachable and accepts our key
+    },
+    timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000,
+    cacheSeconds: parseInt(process.env.HEALTH_CHECK_CACHE_SECONDS, 10) || 30
+});
+
+// GET route handler for liveness: fails only when the database is gone (payment and media providers are reported)
+app.get('/healthz', async (req, res) => {
+    const report = await healthChecks.run();
+    const alive = report.checks.database.status === 'up';
+
+    res.status(alive ? 200 : 503).json({
+        status: alive ? report.status : 'down',                 // ok | degraded | down
+        uptimeSeconds: Math.round(process.uptime()),            // Time since the process started
+        checkedAt: report.checkedAt,                            // When the probes ran
+        checks: report.checks                                   // Status and latency per dependency
+    });
+});
+
+// GET route handler for readiness: only send traffic here while every dependency answers
+app.get('/readyz', async (req, res) => {
+    const report = await healthChecks.run();
+    res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+// GET route handler for Prometheus scrapes (requires `Authorization: Bearer <METRICS_TOKEN>` when set)
+app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN && !secretMatches(req.get('Authorization'), `Bearer ${process.env.METRICS_TOKEN}`)) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+
+    res.type('text/plain; version=0.0.4').send(metrics.render());
 });
 
-// GET route handler for testing Stripe connection
-app.get('/api/test-stripe', (req, res) => {
+// GET route handler for testing the Stripe connection
+app.get('/api/test-stripe', async (req, res) => {
     // Log Stripe connection test
-    console.log(`[${new Date().toISOString()}] Testing Stripe connection...`);
-    
+    logger.debug('Testing Stripe connection');
+
+    // Probe the payment provider (shared with the readiness check)
+    const { checks } = await healthChecks.run();
+    const reachable = checks.payments.status === 'up';
+
     // Return test response with server information
-    res.json({ 
-        message: 'Stripe endpoint is working!',                  // Success message
+    res.status(reachable ? 200 : 503).json({
+        message: reachable ? `${payments.description} is working!` : `${payments.description} is not reachable`, // Probe outcome
         hasStripeKey: !!process.env.STRIPE_SECRET_KEY,           // Boolean check for Stripe key
         stripeKeyExists: process.env.STRIPE_SECRET_KEY ? 'Yes' : 'No', // Human-readable Stripe key status
+        paymentProvider: payments.name,                          // stripe | local
+        stripeMode: payments.mode,                               // live | test (Stripe key) or local
+        stripe: checks.payments,                                 // Probe status, latency and error
         serverTime: new Date().toISOString(),                    // Current server time
-        serverIP: '192.168.1.8',                                 // Server IP address
+        serverHost: os.hostname(),                               // Host name of the machine serving the request
         port: port,                                              // Server port
         // Add transaction summary
-        totalTransactions: transactions.size,                    // Total transactions count
-        totalUsers: users.size                                   // Total users count
+        totalTransactions: transactions.count(),                 // Total transactions count
+        totalUsers: users.count()                                // Total users count
     });
 });
 
 // GET route handler for root path (home page)
 app.get('/', (req, res) => {
-    // Calculate total revenue from completed transactions
-    const totalRevenue = Array.from(transactions.values())      // Convert Map to array
-        .filter(t => t.status === 'completed')                  // Filter completed transactions
-        .reduce((sum, t) => sum + t.amount, 0);                  // Sum all amounts
+    // Calculate transaction count, net revenue, refunds and disputes
+    const { totalTransactions, totalRevenue, refundedAmount, disputedAmount } = transactions.summary();
 
     // Return HTML response with server status and statistics
     res.status(200).send(`
         <h1>Video Backend Server with Enhanced Payments!</h1>
-        <p>Cloudinary configured for: ${cloudinary.config().cloud_name}</p>
-        <p>Stripe configured: ${process.env.STRIPE_SECRET_KEY ? 'Yes' : 'No'}</p>
+        <p>Media provider: ${media.description}</p>
+        <p>Payment provider: ${payments.description}</p>
         <p>Server time: ${new Date().toISOString()}</p>
         
         <h3>Payment Statistics:</h3>
         <ul>
-            <li>Total Transactions: ${transactions.size}</li>
-            <li>Total Users: ${users.size}</li>
+            <li>Total Transactions: ${totalTransactions}</li>
+            <li>Total Users: ${users.count()}</li>
             <li>Total Revenue: $${(totalRevenue / 100).toFixed(2)}</li>
+            <li>Refunded: $${(refundedAmount / 100).toFixed(2)}</li>
+            <li>Disputed: $${(disputedAmount / 100).toFixed(2)}</li>
         </ul>
         
         <h3>Available endpoints:</h3>
         <ul>
-            <li><a href="/api/videos">/api/videos</a> - Get all videos</li>
-            <li><a href="/api/test-stripe">/api/test-stripe</a> - Test Stripe connection</li>
-            <li>POST /api/create-payment - Create payment intent (enhanced)</li>
-            <li>POST /api/confirm-payment - Confirm payment completion</li>
+            <li>POST /api/auth/register, POST /api/auth/login, GET /api/auth/me - Accounts and session tokens</li>
+            <li><a href="/api/videos">/api/videos</a> - Get a page of videos (?limit, cursor, sort, folder, tag, profileId, minAge, maxAge, categories, quality)</li>
+            <li><a href="/api/videos/search?q=dinosaur">/api/videos/search?q=</a> - Search videos by filename, tags, title and description (same paging and filters)</li>
+            <li><a href="/api/test-stripe">/api/test-stripe</a> - Test Stripe connection (live probe)</li>
+            <li><a href="/healthz">/healthz</a>, <a href="/readyz">/readyz</a> - Liveness and readiness (probes the database and the payment and media providers)</li>
+            <li><a href="/metrics">/metrics</a> - Prometheus metrics (Bearer METRICS_TOKEN when set)</li>
+            <li>GET /api/products - List products (lifetime, monthly, yearly) with prices</li>
+            <li>POST /api/create-payment - Create payment intent or subscription for a product (enhanced)</li>
+            <li>GET /api/user/:userId/subscriptions, POST /api/user/:userId/subscriptions/:id/cancel - Manage subscriptions</li>
+            <li>POST /api/confirm-payment - Check payment status</li>
+            <li>POST /api/local-payments/:id/simulate - Give a payment or subscription an outcome: succeeded, failed, refunded, disputed, dispute_won or dispute_lost (PAYMENT_PROVIDER=local only)</li>
+            <li>POST /api/stripe/webhook - Stripe webhook (payment, refund, dispute and subscription events)</li>
+            <li>POST /api/cloudinary/notifications - Cloudinary notification webhook (clears the catalog cache)</li>
+            <li>GET /local-media/... - Video files stored by the local media provider (MEDIA_PROVIDER=local only)</li>
             <li>GET /api/user/:userId - Get user details and transaction history</li>
-            <li><a href="/api/admin/transactions">/api/admin/transactions</a> - View all transactions (admin)</li>
+            <li>GET /api/user/:userId/export - Download everything stored about the family (JSON)</li>
+            <li>DELETE /api/user/:userId - Delete the account (payments are kept anonymized)</li>
+            <li>GET /api/entitlements/:userId - Get what a user has unlocked</li>
+            <li>GET/PUT /api/user/:userId/parental-settings - Read or save parental content settings</li>
+            <li>GET/POST /api/user/:userId/profiles - List or create child profiles</li>
+            <li>GET/PUT/DELETE /api/user/:userId/profiles/:profileId - Read, update or delete a child profile</li>
+            <li>POST /api/watch-events - Record playback events (start, progress, complete)</li>
+            <li>GET /api/user/:userId/history - Watch history and continue watching (?profileId)</li>
+            <li>GET/PUT /api/user/:userId/screen-time - Screen-time usage, daily budget and allowed hours (enforced on signed-in requests only; anonymous browsing is ${REQUIRE_CATALOG_AUTH ? 'off' : 'on (REQUIRE_CATALOG_AUTH=false), so limits can be skipped'}; accounts with child profiles must pass profileId to the catalog)</li>
+            <li>GET /api/videos/:id/play - Get a (signed, expiring for premium) playback URL and streaming renditions (?quality=auto|low|medium|high)</li>
+            <li><a href="/api/playlists">/api/playlists</a>, GET /api/playlists/:id - Curated playlists and their videos (?profileId, minAge, maxAge, categories, quality)</li>
+            <li><a href="/api/admin/transactions">/api/admin/transactions</a> - View transactions (admin; ?status, from, to, userEmail, purchaseType, appVersion, limit, cursor)</li>
+            <li><a href="/api/admin/transactions/export">/api/admin/transactions/export</a> - Download filtered transactions as CSV (admin)</li>
+            <li><a href="/api/admin/reports/revenue">/api/admin/reports/revenue</a> - Daily, weekly and monthly revenue, conversion and breakdowns (admin)</li>
+            <li>POST /api/admin/transactions/:id/refund, POST /api/admin/transactions/:id/cancel - Refund or cancel a transaction (admin)</li>
+            <li>POST /api/admin/videos - Upload a video (multipart: title, description, minAge, maxAge, categories, tags, premium, file) into moderation (admin)</li>
+            <li>GET /api/admin/videos/moderation, POST /api/admin/videos/:id/approve, POST /api/admin/videos/:id/reject - Moderation queue (admin)</li>
+            <li>GET/POST /api/admin/playlists, PUT/DELETE /api/admin/playlists/:id - Manage playlists (admin)</li>
         </ul>
     `);
 });
@@ -507,7 +3601,7 @@ app.get('/', (req, res) => {
 // Global error handling middleware
 app.use((err, req, res, next) => {
   // Log unhandled errors with timestamp
-  console.error(`[${new Date().toISOString()}] Unhandled Error:`, err.stack || err);
+  logger.error('Unhandled Error', { error: err });
   
   // Return generic error response
   res.status(500).json({ 
@@ -518,10 +3612,19 @@ app.use((err, req, res, next) => {
 
 // Start the server and listen on all network interfaces
 app.listen(port,'0.0.0.0', () => {
+    // Addresses the server can be reached on (PUBLIC_URL when it sits behind a proxy or load balancer)
+    const baseUrls = process.env.PUBLIC_URL
+        ? [process.env.PUBLIC_URL.replace(/\/$/, '')]
+        : Object.values(os.networkInterfaces())
+            .flat()
+            .filter(address => address.family === 'IPv4' || address.family === 4)
+            .map(address => `http://${address.address}:${port}`);
+
     // Log server startup information
-    console.log(`Server listening on all interfaces at port ${port}`);
-    console.log(`Accessible via http://10.11.24.93:${port}`);
-    console.log(`Test Stripe: http://10.11.24.93:${port}/api/test-stripe`);
-    console.log(`Admin Dashboard: http://10.11.24.93:${port}/api/admin/transactions`);
-    console.log('Enhanced payment system with user tracking enabled!');
-});
\ No newline at end of file
+    logger.info('Server listening on all interfaces', {
+        port: port,                                             // Listening port
+        urls: baseUrls,                                         // Base URLs (one per network interface)
+        health: baseUrls.map(url => `${url}/healthz`),          // Liveness endpoint
+        adminDashboard: baseUrls.map(url => `${url}/api/admin/transactions`) // Admin transactions
+    });
+});
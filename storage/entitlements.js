@@ -0,0 +1,81 @@
+// Entitlements repository (what each user has unlocked, and which purchase granted it)
+
+// Convert a database row into the entitlement object shape used by the API
+const fromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        userId: row.user_id,                                    // User identifier
+        entitlement: row.entitlement,                           // Entitlement key (e.g. 'premium')
+        sourceId: row.source_id,                                // What granted it (payment intent ID)
+        grantedAt: row.granted_at,                              // Grant timestamp
+        expiresAt: row.expires_at,                              // Expiry timestamp (null = never)
+        revokedAt: row.revoked_at                               // Revocation timestamp (null = active)
+    };
+};
+
+/**
+ * Create the entitlements repository on top of an open database
+ */
+const createEntitlementsRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        listActive: db.prepare(`
+            SELECT * FROM entitlements
+            WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY granted_at
+        `),
+        hasActive: db.prepare(`
+            SELECT 1 FROM entitlements
+            WHERE user_id = ? AND entitlement = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+            LIMIT 1
+        `),
+        grant: db.prepare(`
+            INSERT INTO entitlements (user_id, entitlement, source_id, granted_at, expires_at)
+            VALUES (@userId, @entitlement, @sourceId, @grantedAt, @expiresAt)
+            ON CONFLICT (user_id, entitlement, source_id) DO UPDATE SET
+                expires_at = excluded.expires_at,
+                revoked_at = NULL
+        `),
+        listByUser: db.prepare('SELECT * FROM entitlements WHERE user_id = ? ORDER BY granted_at'),
+        revokeBySource: db.prepare('UPDATE entitlements SET revoked_at = ? WHERE source_id = ? AND revoked_at IS NULL'),
+        removeByUser: db.prepare('DELETE FROM entitlements WHERE user_id = ?')
+    };
+
+    return {
+        // List a user's active (not revoked, not expired) entitlements
+        listActive: (userId) => statements.listActive.all(userId, new Date().toISOString()).map(fromRow),
+
+        // List every entitlement a user was ever granted (revoked and expired included), oldest first
+        listByUser: (userId) => statements.listByUser.all(userId).map(fromRow),
+
+        // Check whether a user currently holds an entitlement
+        hasActive: (userId, entitlement) =>
+            statements.hasActive.get(userId, entitlement, new Date().toISOString()) !== undefined,
+
+        // Grant (or re-activate) an entitlement from a given source
+        grant: ({ userId, entitlement, sourceId, expiresAt = null }) => {
+            statements.grant.run({
+                userId,
+                entitlement,
+                sourceId,
+                grantedAt: new Date().toISOString(),
+                expiresAt
+            });
+        },
+
+        // Revoke every entitlement granted by a source (e.g. a refunded payment)
+        revokeBySource: (sourceId) => {
+            statements.revokeBySource.run(new Date().toISOString(), sourceId);
+        },
+
+        // Delete every entitlement of a user
+        removeByUser: (userId) => {
+            statements.removeByUser.run(userId);
+        }
+    };
+};
+
+module.exports = createEntitlementsRepository;
@@ -0,0 +1,24 @@
+// Processed events repository (Stripe webhook event IDs, for idempotency)
+
+/**
+ * Create the processed events repository on top of an open database
+ */
+const createEventsRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        get: db.prepare('SELECT event_id FROM processed_events WHERE event_id = ?'),
+        add: db.prepare('INSERT OR IGNORE INTO processed_events (event_id, type, processed_at) VALUES (?, ?, ?)')
+    };
+
+    return {
+        // Check whether an event was already processed
+        has: (eventId) => statements.get.get(eventId) !== undefined,
+
+        // Remember an event as processed
+        add: (eventId, type) => {
+            statements.add.run(eventId, type, new Date().toISOString());
+        }
+    };
+};
+
+module.exports = createEventsRepository;
@@ -0,0 +1,93 @@
+// Persistent storage layer backed by an embedded SQLite database
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const { logger } = require('../logger');
+const migrations = require('./migrations');
+const createUsersRepository = require('./users');
+const createTransactionsRepository = require('./transactions');
+const createEventsRepository = require('./events');
+const createEntitlementsRepository = require('./entitlements');
+const createParentalSettingsRepository = require('./parentalSettings');
+const createProfilesRepository = require('./profiles');
+const createWatchHistoryRepository = require('./watchHistory');
+const createScreenTimeRepository = require('./screenTime');
+const createSubscriptionsRepository = require('./subscriptions');
+const createPlaylistsRepository = require('./playlists');
+const createPaymentReservationsRepository = require('./paymentReservations');
+
+// Default database file location (override with DATABASE_PATH)
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', 'data', 'kidtok.db');
+
+// Apply every migration that has not run yet, each inside its own transaction
+const migrate = (db) => {
+    // Create bookkeeping table for applied migrations
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    // Read versions that were already applied
+    const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    // Run pending migrations in order
+    for (const migration of migrations) {
+        if (applied.has(migration.version)) {
+            continue;
+        }
+
+        db.transaction(() => {
+            db.exec(migration.up);
+            record.run(migration.version, migration.name, new Date().toISOString());
+        })();
+
+        logger.info('Applied database migration', { version: migration.version, name: migration.name });
+    }
+};
+
+/**
+ * Open (or create) the database, run migrations and return the repositories
+ */
+const openStorage = (filename = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH) => {
+    // Make sure the directory for the database file exists
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    // Open database with write-ahead logging for better concurrent reads
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    // Bring schema up to date
+    migrate(db);
+
+    return {
+        db,                                                     // Raw database handle
+        users: createUsersRepository(db),                       // Users repository
+        transactions: createTransactionsRepository(db),         // Transactions repository
+        events: createEventsRepository(db),                     // Processed Stripe events repository
+        entitlements: createEntitlementsRepository(db),         // Entitlements repository
+        parentalSettings: createParentalSettingsRepository(db), // Parental content settings repository
+        profiles: createProfilesRepository(db),                 // Child profiles repository
+        watchHistory: createWatchHistoryRepository(db),         // Watch history repository
+        screenTime: createScreenTimeRepository(db),             // Screen-time usage and limits repository
+        subscriptions: createSubscriptionsRepository(db),       // Stripe Billing subscriptions repository
+        playlists: createPlaylistsRepository(db),               // Curated playlists repository
+        paymentReservations: createPaymentReservationsRepository(db), // Payments being created repository
+
+        // Run a function inside a single database transaction
+        transaction: (fn) => db.transaction(fn)(),
+
+        // Close the database handle
+        close: () => db.close()
+    };
+};
+
+module.exports = { openStorage };
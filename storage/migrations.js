@@ -0,0 +1,238 @@
+// Ordered schema migrations for the SQLite database.
+// Each migration runs once and is recorded in the schema_migrations table.
+// Never edit a migration that has shipped; add a new one instead.
+
+module.exports = [
+    {
+        version: 1,
+        name: 'create_users_and_transactions',
+        up: `
+            CREATE TABLE users (
+                user_id TEXT PRIMARY KEY,
+                user_name TEXT,
+                user_email TEXT,
+                first_seen TEXT NOT NULL,
+                last_purchase_attempt TEXT,
+                last_successful_purchase TEXT,
+                total_attempts INTEGER NOT NULL DEFAULT 0,
+                successful_purchases INTEGER NOT NULL DEFAULT 0,
+                total_spent INTEGER NOT NULL DEFAULT 0,
+                is_premium INTEGER NOT NULL DEFAULT 0
+            );
+
+            CREATE TABLE transactions (
+                payment_intent_id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                user_name TEXT,
+                user_email TEXT,
+                amount INTEGER NOT NULL,
+                currency TEXT NOT NULL,
+                status TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                completed_at TEXT,
+                failed_at TEXT,
+                failure_message TEXT,
+                canceled_at TEXT,
+                refunded_amount INTEGER NOT NULL DEFAULT 0,
+                refunded_at TEXT,
+                device_info TEXT,
+                app_version TEXT,
+                purchase_type TEXT
+            );
+
+            CREATE INDEX idx_transactions_user_id ON transactions (user_id);
+            CREATE INDEX idx_transactions_status ON transactions (status);
+            CREATE INDEX idx_transactions_created_at ON transactions (created_at);
+
+            CREATE TABLE processed_events (
+                event_id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                processed_at TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 2,
+        name: 'create_entitlements',
+        up: `
+            CREATE TABLE entitlements (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                entitlement TEXT NOT NULL,
+                source_id TEXT NOT NULL,
+                granted_at TEXT NOT NULL,
+                expires_at TEXT,
+                revoked_at TEXT,
+                UNIQUE (user_id, entitlement, source_id)
+            );
+
+            CREATE INDEX idx_entitlements_user_id ON entitlements (user_id);
+
+            INSERT INTO entitlements (user_id, entitlement, source_id, granted_at)
+            SELECT user_id, 'premium', payment_intent_id, COALESCE(completed_at, created_at)
+            FROM transactions
+            WHERE status IN ('completed', 'partially_refunded');
+        `
+    },
+    {
+        version: 3,
+        name: 'create_parental_settings',
+        up: `
+            CREATE TABLE parental_settings (
+                user_id TEXT PRIMARY KEY,
+                allowed_categories TEXT NOT NULL DEFAULT '[]',
+                blocked_videos TEXT NOT NULL DEFAULT '[]',
+                max_age INTEGER,
+                updated_at TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 4,
+        name: 'create_profiles',
+        up: `
+            CREATE TABLE profiles (
+                profile_id TEXT PRIMARY KEY,
+                parent_user_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                avatar TEXT,
+                birth_year INTEGER,
+                allowed_categories TEXT NOT NULL DEFAULT '[]',
+                blocked_videos TEXT NOT NULL DEFAULT '[]',
+                max_age INTEGER,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+
+            CREATE INDEX idx_profiles_parent_user_id ON profiles (parent_user_id);
+        `
+    },
+    {
+        version: 5,
+        name: 'create_watch_history_and_screen_time',
+        up: `
+            CREATE TABLE watch_history (
+                viewer_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                profile_id TEXT,
+                video_id TEXT NOT NULL,
+                position REAL NOT NULL DEFAULT 0,
+                duration REAL,
+                completed INTEGER NOT NULL DEFAULT 0,
+                watched_seconds REAL NOT NULL DEFAULT 0,
+                started_at TEXT NOT NULL,
+                last_event_at TEXT NOT NULL,
+                PRIMARY KEY (viewer_id, video_id)
+            );
+
+            CREATE INDEX idx_watch_history_viewer_last_event ON watch_history (viewer_id, last_event_at);
+
+            CREATE TABLE screen_time_usage (
+                viewer_id TEXT NOT NULL,
+                day TEXT NOT NULL,
+                seconds REAL NOT NULL DEFAULT 0,
+                PRIMARY KEY (viewer_id, day)
+            );
+
+            CREATE TABLE screen_time_limits (
+                viewer_id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                profile_id TEXT,
+                daily_minutes INTEGER,
+                allowed_start TEXT,
+                allowed_end TEXT,
+                timezone TEXT NOT NULL DEFAULT 'UTC',
+                updated_at TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 6,
+        name: 'add_user_credentials_and_roles',
+        up: `
+            ALTER TABLE users ADD COLUMN password_hash TEXT;
+            ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user';
+
+            CREATE UNIQUE INDEX idx_users_login_email ON users (lower(user_email)) WHERE password_hash IS NOT NULL;
+        `
+    },
+    {
+        version: 7,
+        name: 'create_subscriptions',
+        up: `
+            ALTER TABLE users ADD COLUMN stripe_customer_id TEXT;
+
+            CREATE TABLE subscriptions (
+                subscription_id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                product_id TEXT NOT NULL,
+                price_id TEXT,
+                status TEXT NOT NULL,
+                current_period_end TEXT,
+                cancel_at_period_end INTEGER NOT NULL DEFAULT 0,
+                canceled_at TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+
+            CREATE INDEX idx_subscriptions_user_id ON subscriptions (user_id);
+        `
+    },
+    {
+        version: 8,
+        name: 'add_transaction_idempotency_keys',
+        up: `
+            ALTER TABLE transactions ADD COLUMN idempotency_key TEXT;
+
+            CREATE UNIQUE INDEX idx_transactions_idempotency_key ON transactions (user_id, idempotency_key)
+                WHERE idempotency_key IS NOT NULL;
+            CREATE INDEX idx_transactions_open ON transactions (user_id, purchase_type, status);
+        `
+    },
+    {
+        version: 9,
+        name: 'add_transaction_disputes',
+        up: `
+            ALTER TABLE transactions ADD COLUMN disputed_amount INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE transactions ADD COLUMN disputed_at TEXT;
+            ALTER TABLE transactions ADD COLUMN dispute_status TEXT;
+        `
+    },
+    {
+        version: 10,
+        name: 'create_playlists',
+        up: `
+            CREATE TABLE playlists (
+                playlist_id TEXT PRIMARY KEY,
+                title TEXT NOT NULL,
+                description TEXT,
+                video_ids TEXT NOT NULL DEFAULT '[]',
+                cover_video_id TEXT,
+                cover_type TEXT,
+                is_premium INTEGER NOT NULL DEFAULT 0,
+                position INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 11,
+        name: 'add_transaction_subscription_ids',
+        up: `
+            ALTER TABLE transactions ADD COLUMN subscription_id TEXT;
+        `
+    },
+    {
+        version: 12,
+        name: 'create_payment_reservations',
+        up: `
+            CREATE TABLE payment_reservations (
+                user_id TEXT NOT NULL,
+                product_id TEXT NOT NULL,
+                reserved_at TEXT NOT NULL,
+                PRIMARY KEY (user_id, product_id)
+            );
+        `
+    }
+];
@@ -0,0 +1,66 @@
+// Parental settings repository (content rules applied to a user's video feed)
+
+// Convert a database row into the settings object shape used by the API
+const fromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        userId: row.user_id,                                    // User identifier
+        allowedCategories: JSON.parse(row.allowed_categories),  // Allowed categories (empty = all)
+        blockedVideos: JSON.parse(row.blocked_videos),          // Blocked video public IDs
+        maxAge: row.max_age,                                    // Highest minimum age allowed (null = no limit)
+        updatedAt: row.updated_at                               // Last change timestamp
+    };
+};
+
+/**
+ * Create the parental settings repository on top of an open database
+ */
+const createParentalSettingsRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        get: db.prepare('SELECT * FROM parental_settings WHERE user_id = ?'),
+        save: db.prepare(`
+            INSERT INTO parental_settings (user_id, allowed_categories, blocked_videos, max_age, updated_at)
+            VALUES (@userId, @allowedCategories, @blockedVideos, @maxAge, @updatedAt)
+            ON CONFLICT (user_id) DO UPDATE SET
+                allowed_categories = excluded.allowed_categories,
+                blocked_videos = excluded.blocked_videos,
+                max_age = excluded.max_age,
+                updated_at = excluded.updated_at
+        `),
+        remove: db.prepare('DELETE FROM parental_settings WHERE user_id = ?')
+    };
+
+    return {
+        // Get a user's settings (null if the parent never saved any)
+        get: (userId) => fromRow(statements.get.get(userId)),
+
+        // Insert or replace a user's settings
+        save: (settings) => {
+            const saved = {
+                userId: settings.userId,
+                allowedCategories: settings.allowedCategories || [],
+                blockedVideos: settings.blockedVideos || [],
+                maxAge: settings.maxAge ?? null,
+                updatedAt: new Date().toISOString()
+            };
+
+            statements.save.run({
+                ...saved,
+                allowedCategories: JSON.stringify(saved.allowedCategories),
+                blockedVideos: JSON.stringify(saved.blockedVideos)
+            });
+            return saved;
+        },
+
+        // Delete a user's settings
+        remove: (userId) => {
+            statements.remove.run(userId);
+        }
+    };
+};
+
+module.exports = createParentalSettingsRepository;
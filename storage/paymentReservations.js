@@ -0,0 +1,42 @@
+// Payment reservations repository (one row per user and product while a payment is being created,
+// so parallel requests cannot each create one)
+
+/**
+ * Create the payment reservations repository on top of an open database
+ */
+const createPaymentReservationsRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        reserve: db.prepare(`
+            INSERT INTO payment_reservations (user_id, product_id, reserved_at) VALUES (@userId, @productId, @now)
+            ON CONFLICT (user_id, product_id) DO UPDATE SET reserved_at = excluded.reserved_at
+            WHERE payment_reservations.reserved_at < @staleBefore
+        `),
+        release: db.prepare('DELETE FROM payment_reservations WHERE user_id = ? AND product_id = ?'),
+        removeByUser: db.prepare('DELETE FROM payment_reservations WHERE user_id = ?')
+    };
+
+    return {
+        // Reserve a product for a user; false while another reservation younger than `maxAgeSeconds` holds it
+        // (older ones were left behind by a request that never finished and are taken over)
+        reserve: (userId, productId, maxAgeSeconds) => {
+            const now = new Date();
+            return statements.reserve.run({
+                userId: userId,
+                productId: productId,
+                now: now.toISOString(),
+                staleBefore: new Date(now.getTime() - maxAgeSeconds * 1000).toISOString()
+            }).changes === 1;
+        },
+
+        // Give a reservation back once the payment is stored (or creating it failed)
+        release: (userId, productId) => {
+            statements.release.run(userId, productId);
+        },
+
+        // Remove every reservation of a deleted user
+        removeByUser: (userId) => statements.removeByUser.run(userId).changes
+    };
+};
+
+module.exports = createPaymentReservationsRepository;
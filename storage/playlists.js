@@ -0,0 +1,93 @@
+// Playlists repository (curated, ordered collections of videos)
+
+const crypto = require('crypto');
+
+// Convert a database row into the playlist object shape used by the API
+const fromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        playlistId: row.playlist_id,                            // Playlist identifier
+        title: row.title,                                       // Display title (e.g. "Bedtime")
+        description: row.description,                           // Short description
+        videoIds: JSON.parse(row.video_ids),                    // Ordered video public IDs
+        coverVideoId: row.cover_video_id,                       // Video the cover thumbnail is made from
+        coverType: row.cover_type,                              // Delivery type of the cover video
+        isPremium: row.is_premium === 1,                        // Whole playlist requires premium
+        position: row.position,                                 // Display order among playlists
+        createdAt: row.created_at,                              // Creation timestamp
+        updatedAt: row.updated_at                               // Last change timestamp
+    };
+};
+
+/**
+ * Create the playlists repository on top of an open database
+ */
+const createPlaylistsRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        get: db.prepare('SELECT * FROM playlists WHERE playlist_id = ?'),
+        list: db.prepare('SELECT * FROM playlists ORDER BY position, created_at'),
+        nextPosition: db.prepare('SELECT COALESCE(MAX(position) + 1, 0) AS position FROM playlists'),
+        save: db.prepare(`
+            INSERT INTO playlists (
+                playlist_id, title, description, video_ids, cover_video_id, cover_type,
+                is_premium, position, created_at, updated_at
+            ) VALUES (
+                @playlistId, @title, @description, @videoIds, @coverVideoId, @coverType,
+                @isPremium, @position, @createdAt, @updatedAt
+            )
+            ON CONFLICT (playlist_id) DO UPDATE SET
+                title = excluded.title,
+                description = excluded.description,
+                video_ids = excluded.video_ids,
+                cover_video_id = excluded.cover_video_id,
+                cover_type = excluded.cover_type,
+                is_premium = excluded.is_premium,
+                position = excluded.position,
+                updated_at = excluded.updated_at
+        `),
+        remove: db.prepare('DELETE FROM playlists WHERE playlist_id = ?')
+    };
+
+    return {
+        // Get a single playlist by ID (null if unknown)
+        get: (playlistId) => fromRow(statements.get.get(playlistId)),
+
+        // List every playlist in display order
+        list: () => statements.list.all().map(fromRow),
+
+        // Insert or update a playlist (a new ID and a position at the end are assigned when missing)
+        save: (playlist) => {
+            const now = new Date().toISOString();
+            const saved = {
+                playlistId: playlist.playlistId || crypto.randomUUID(),
+                title: playlist.title,
+                description: playlist.description ?? null,
+                videoIds: playlist.videoIds || [],
+                coverVideoId: playlist.coverVideoId ?? null,
+                coverType: playlist.coverType ?? null,
+                isPremium: Boolean(playlist.isPremium),
+                position: playlist.position ?? statements.nextPosition.get().position,
+                createdAt: playlist.createdAt || now,
+                updatedAt: now
+            };
+
+            statements.save.run({
+                ...saved,
+                videoIds: JSON.stringify(saved.videoIds),
+                isPremium: saved.isPremium ? 1 : 0
+            });
+            return saved;
+        },
+
+        // Delete a playlist
+        remove: (playlistId) => {
+            statements.remove.run(playlistId);
+        }
+    };
+};
+
+module.exports = createPlaylistsRepository;
@@ -0,0 +1,109 @@
+// Child profiles repository (the kids watching under one paying parent user)
+
+const crypto = require('crypto');
+
+// Convert a database row into the profile object shape used by the API
+const fromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        profileId: row.profile_id,                              // Profile identifier
+        parentUserId: row.parent_user_id,                       // Paying parent user
+        name: row.name,                                         // Child's display name
+        avatar: row.avatar,                                     // Avatar key or URL
+        birthYear: row.birth_year,                              // Birth year (for default age limit)
+        contentSettings: {                                      // Per-child content rules
+            allowedCategories: JSON.parse(row.allowed_categories), // Allowed categories (empty = all)
+            blockedVideos: JSON.parse(row.blocked_videos),      // Blocked video public IDs
+            maxAge: row.max_age                                 // Highest minimum age allowed (null = no limit)
+        },
+        createdAt: row.created_at,                              // Creation timestamp
+        updatedAt: row.updated_at                               // Last change timestamp
+    };
+};
+
+/**
+ * Create the profiles repository on top of an open database
+ */
+const createProfilesRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        get: db.prepare('SELECT * FROM profiles WHERE profile_id = ?'),
+        listByParent: db.prepare('SELECT * FROM profiles WHERE parent_user_id = ? ORDER BY created_at'),
+        save: db.prepare(`
+            INSERT INTO profiles (
+                profile_id, parent_user_id, name, avatar, birth_year,
+                allowed_categories, blocked_videos, max_age, created_at, updated_at
+            ) VALUES (
+                @profileId, @parentUserId, @name, @avatar, @birthYear,
+                @allowedCategories, @blockedVideos, @maxAge, @createdAt, @updatedAt
+            )
+            ON CONFLICT (profile_id) DO UPDATE SET
+                name = excluded.name,
+                avatar = excluded.avatar,
+                birth_year = excluded.birth_year,
+                allowed_categories = excluded.allowed_categories,
+                blocked_videos = excluded.blocked_videos,
+                max_age = excluded.max_age,
+                updated_at = excluded.updated_at
+        `),
+        remove: db.prepare('DELETE FROM profiles WHERE profile_id = ?'),
+        removeByParent: db.prepare('DELETE FROM profiles WHERE parent_user_id = ?')
+    };
+
+    return {
+        // Get a single profile by ID (null if unknown)
+        get: (profileId) => fromRow(statements.get.get(profileId)),
+
+        // List a parent's profiles, oldest first
+        listByParent: (parentUserId) => statements.listByParent.all(parentUserId).map(fromRow),
+
+        // Insert or update a profile (a new ID is generated when missing)
+        save: (profile) => {
+            const now = new Date().toISOString();
+            const contentSettings = profile.contentSettings || {};
+            const saved = {
+                profileId: profile.profileId || crypto.randomUUID(),
+                parentUserId: profile.parentUserId,
+                name: profile.name,
+                avatar: profile.avatar ?? null,
+                birthYear: profile.birthYear ?? null,
+                contentSettings: {
+                    allowedCategories: contentSettings.allowedCategories || [],
+                    blockedVideos: contentSettings.blockedVideos || [],
+                    maxAge: contentSettings.maxAge ?? null
+                },
+                createdAt: profile.createdAt || now,
+                updatedAt: now
+            };
+
+            statements.save.run({
+                profileId: saved.profileId,
+                parentUserId: saved.parentUserId,
+                name: saved.name,
+                avatar: saved.avatar,
+                birthYear: saved.birthYear,
+                allowedCategories: JSON.stringify(saved.contentSettings.allowedCategories),
+                blockedVideos: JSON.stringify(saved.contentSettings.blockedVideos),
+                maxAge: saved.contentSettings.maxAge,
+                createdAt: saved.createdAt,
+                updatedAt: saved.updatedAt
+            });
+            return saved;
+        },
+
+        // Delete a profile
+        remove: (profileId) => {
+            statements.remove.run(profileId);
+        },
+
+        // Delete every profile of a parent
+        removeByParent: (parentUserId) => {
+            statements.removeByParent.run(parentUserId);
+        }
+    };
+};
+
+module.exports = createProfilesRepository;
@@ -0,0 +1,112 @@
+// Screen-time repository (daily watch totals and the limits parents set)
+
+// Convert a database row into the limits object shape used by the API
+const limitsFromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        userId: row.user_id,                                    // Parent user identifier
+        profileId: row.profile_id,                              // Child profile (null = whole household)
+        dailyMinutes: row.daily_minutes,                        // Daily budget (null = unlimited)
+        allowedHours: row.allowed_start && row.allowed_end      // Watching window in local time (null = any time)
+            ? { start: row.allowed_start, end: row.allowed_end }
+            : null,
+        timezone: row.timezone,                                 // IANA timezone for days and hours
+        updatedAt: row.updated_at                               // Last change timestamp
+    };
+};
+
+/**
+ * Create the screen-time repository on top of an open database
+ */
+const createScreenTimeRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        getUsage: db.prepare('SELECT seconds FROM screen_time_usage WHERE viewer_id = ? AND day = ?'),
+        listUsage: db.prepare('SELECT day, seconds FROM screen_time_usage WHERE viewer_id = ? ORDER BY day'),
+        removeUsage: db.prepare('DELETE FROM screen_time_usage WHERE viewer_id = ?'),
+        addUsage: db.prepare(`
+            INSERT INTO screen_time_usage (viewer_id, day, seconds) VALUES (?, ?, ?)
+            ON CONFLICT (viewer_id, day) DO UPDATE SET seconds = seconds + excluded.seconds
+        `),
+        getLimits: db.prepare('SELECT * FROM screen_time_limits WHERE viewer_id = ?'),
+        listLimitsByUser: db.prepare('SELECT * FROM screen_time_limits WHERE user_id = ?'),
+        removeLimits: db.prepare('DELETE FROM screen_time_limits WHERE viewer_id = ?'),
+        removeLimitsByUser: db.prepare('DELETE FROM screen_time_limits WHERE user_id = ?'),
+        saveLimits: db.prepare(`
+            INSERT INTO screen_time_limits (
+                viewer_id, user_id, profile_id, daily_minutes, allowed_start, allowed_end, timezone, updated_at
+            ) VALUES (
+                @viewerId, @userId, @profileId, @dailyMinutes, @allowedStart, @allowedEnd, @timezone, @updatedAt
+            )
+            ON CONFLICT (viewer_id) DO UPDATE SET
+                daily_minutes = excluded.daily_minutes,
+                allowed_start = excluded.allowed_start,
+                allowed_end = excluded.allowed_end,
+                timezone = excluded.timezone,
+                updated_at = excluded.updated_at
+        `)
+    };
+
+    return {
+        // Seconds a viewer watched on a given local day
+        getUsage: (viewerId, day) => statements.getUsage.get(viewerId, day)?.seconds || 0,
+
+        // List a viewer's daily totals, oldest day first
+        listUsage: (viewerId) => statements.listUsage.all(viewerId),
+
+        // Delete a viewer's daily totals
+        removeUsage: (viewerId) => {
+            statements.removeUsage.run(viewerId);
+        },
+
+        // Add watched seconds to a viewer's local day
+        addUsage: (viewerId, day, seconds) => {
+            statements.addUsage.run(viewerId, day, seconds);
+        },
+
+        // Get the limits saved for a viewer (null if none)
+        getLimits: (viewerId) => limitsFromRow(statements.getLimits.get(viewerId)),
+
+        // List the limits saved for a household (parent and child profiles)
+        listLimitsByUser: (userId) => statements.listLimitsByUser.all(userId).map(limitsFromRow),
+
+        // Delete the limits saved for a viewer
+        removeLimits: (viewerId) => {
+            statements.removeLimits.run(viewerId);
+        },
+
+        // Delete the limits saved for a household
+        removeLimitsByUser: (userId) => {
+            statements.removeLimitsByUser.run(userId);
+        },
+
+        // Insert or replace the limits for a viewer
+        saveLimits: (viewerId, limits) => {
+            const saved = {
+                userId: limits.userId,
+                profileId: limits.profileId ?? null,
+                dailyMinutes: limits.dailyMinutes ?? null,
+                allowedHours: limits.allowedHours || null,
+                timezone: limits.timezone || 'UTC',
+                updatedAt: new Date().toISOString()
+            };
+
+            statements.saveLimits.run({
+                viewerId,
+                userId: saved.userId,
+                profileId: saved.profileId,
+                dailyMinutes: saved.dailyMinutes,
+                allowedStart: saved.allowedHours?.start ?? null,
+                allowedEnd: saved.allowedHours?.end ?? null,
+                timezone: saved.timezone,
+                updatedAt: saved.updatedAt
+            });
+            return saved;
+        }
+    };
+};
+
+module.exports = createScreenTimeRepository;
@@ -0,0 +1,90 @@
+// Subscriptions repository (local mirror of Stripe Billing subscriptions)
+
+// Convert a database row into the subscription object shape used by the API
+const fromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        subscriptionId: row.subscription_id,                    // Stripe subscription ID
+        userId: row.user_id,                                    // Subscriber
+        productId: row.product_id,                              // Catalog product (monthly | yearly)
+        priceId: row.price_id,                                  // Stripe Price ID
+        status: row.status,                                     // Stripe subscription status
+        currentPeriodEnd: row.current_period_end,               // End of the paid period
+        cancelAtPeriodEnd: row.cancel_at_period_end === 1,      // Will not renew
+        canceledAt: row.canceled_at,                            // Cancellation timestamp
+        createdAt: row.created_at,                              // Creation timestamp
+        updatedAt: row.updated_at                               // Last sync timestamp
+    };
+};
+
+/**
+ * Create the subscriptions repository on top of an open database
+ */
+const createSubscriptionsRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        get: db.prepare('SELECT * FROM subscriptions WHERE subscription_id = ?'),
+        listByUser: db.prepare('SELECT * FROM subscriptions WHERE user_id = ? ORDER BY created_at DESC'),
+        findIncomplete: db.prepare(`
+            SELECT * FROM subscriptions
+            WHERE user_id = ? AND product_id = ? AND status = 'incomplete'
+            ORDER BY created_at DESC
+            LIMIT 1
+        `),
+        save: db.prepare(`
+            INSERT INTO subscriptions (
+                subscription_id, user_id, product_id, price_id, status, current_period_end,
+                cancel_at_period_end, canceled_at, created_at, updated_at
+            ) VALUES (
+                @subscriptionId, @userId, @productId, @priceId, @status, @currentPeriodEnd,
+                @cancelAtPeriodEnd, @canceledAt, @createdAt, @updatedAt
+            )
+            ON CONFLICT (subscription_id) DO UPDATE SET
+                price_id = excluded.price_id,
+                status = excluded.status,
+                current_period_end = excluded.current_period_end,
+                cancel_at_period_end = excluded.cancel_at_period_end,
+                canceled_at = excluded.canceled_at,
+                updated_at = excluded.updated_at
+        `),
+        anonymizeUser: db.prepare('UPDATE subscriptions SET user_id = ?, updated_at = ? WHERE user_id = ?')
+    };
+
+    return {
+        // Get a single subscription by ID (null if unknown)
+        get: (subscriptionId) => fromRow(statements.get.get(subscriptionId)),
+
+        // List a user's subscriptions, newest first
+        listByUser: (userId) => statements.listByUser.all(userId).map(fromRow),
+
+        // Get a user's most recent subscription for a product still waiting for its first payment (null if none)
+        findIncomplete: (userId, productId) => fromRow(statements.findIncomplete.get(userId, productId)),
+
+        // Insert or update a subscription
+        save: (subscription) => {
+            const now = new Date().toISOString();
+            statements.save.run({
+                subscriptionId: subscription.subscriptionId,
+                userId: subscription.userId,
+                productId: subscription.productId,
+                priceId: subscription.priceId ?? null,
+                status: subscription.status,
+                currentPeriodEnd: subscription.currentPeriodEnd ?? null,
+                cancelAtPeriodEnd: subscription.cancelAtPeriodEnd ? 1 : 0,
+                canceledAt: subscription.canceledAt ?? null,
+                createdAt: subscription.createdAt || now,
+                updatedAt: now
+            });
+            return subscription;
+        },
+
+        // Move a deleted user's subscriptions to an anonymous ID (kept for accounting); returns rows changed
+        anonymizeUser: (userId, anonymousId) =>
+            statements.anonymizeUser.run(anonymousId, new Date().toISOString(), userId).changes
+    };
+};
+
+module.exports = createSubscriptionsRepository;
@@ -0,0 +1,288 @@
+// Transactions repository (one row per Stripe payment intent)
+
+// Convert a database row into the transaction object shape used by the API
+const fromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        paymentIntentId: row.payment_intent_id,                 // Stripe payment intent ID
+        userId: row.user_id,                                    // User identifier
+        userName: row.user_name,                                // User display name
+        userEmail: row.user_email,                              // User email address
+        amount: row.amount,                                     // Payment amount in cents
+        currency: row.currency,                                 // Payment currency
+        status: row.status,                                     // Transaction status
+        createdAt: row.created_at,                              // Creation timestamp
+        completedAt: row.completed_at,                          // Completion timestamp
+        failedAt: row.failed_at,                                // Failure timestamp
+        failureMessage: row.failure_message,                    // Stripe failure reason
+        canceledAt: row.canceled_at,                            // Cancellation timestamp
+        refundedAmount: row.refunded_amount,                    // Total refunded in cents
+        refundedAt: row.refunded_at,                            // Last refund timestamp
+        disputedAmount: row.disputed_amount,                    // Amount under dispute in cents
+        disputedAt: row.disputed_at,                            // Dispute opening timestamp
+        disputeStatus: row.dispute_status,                      // Stripe dispute status
+        deviceInfo: row.device_info,                            // Device information
+        appVersion: row.app_version,                            // App version
+        purchaseType: row.purchase_type,                        // Type of purchase
+        subscriptionId: row.subscription_id,                    // Subscription an invoice payment belongs to
+        idempotencyKey: row.idempotency_key                     // Client Idempotency-Key that created it
+    };
+};
+
+// Aggregate columns shared by the overall summary and the admin reports
+const AGGREGATES = `
+    COUNT(*) AS totalTransactions,
+    COALESCE(SUM(status = 'completed'), 0) AS completedTransactions,
+    COALESCE(SUM(status = 'pending'), 0) AS pendingTransactions,
+    COALESCE(SUM(status = 'canceled'), 0) AS canceledTransactions,
+    COALESCE(SUM(status IN ('refunded', 'partially_refunded')), 0) AS refundedTransactions,
+    COALESCE(SUM(status = 'disputed'), 0) AS disputedTransactions,
+    COALESCE(SUM(CASE WHEN status IN ('completed', 'partially_refunded') THEN amount - refunded_amount ELSE 0 END), 0) AS totalRevenue,
+    COALESCE(SUM(refunded_amount), 0) AS refundedAmount,
+    COALESCE(SUM(CASE WHEN status = 'disputed' THEN disputed_amount ELSE 0 END), 0) AS disputedAmount,
+    COUNT(DISTINCT user_id) AS uniqueUsers
+`;
+
+// SQL expression that groups a transaction into its reporting period (weeks start on Monday)
+const PERIODS = {
+    day: "substr(created_at, 1, 10)",
+    week: "date(created_at, 'weekday 0', '-6 days')",
+    month: "substr(created_at, 1, 7)"
+};
+
+// Columns the admin reports can break revenue down by
+const DIMENSIONS = {
+    appVersion: 'app_version',
+    deviceInfo: 'device_info'
+};
+
+// Build a WHERE clause and named parameters from admin filters (all optional)
+const buildFilter = ({ statuses = [], from, to, userEmail, purchaseType, appVersion, before } = {}) => {
+    const conditions = [];
+    const params = {};
+
+    if (statuses.length > 0) {
+        conditions.push(`status IN (${statuses.map((_, i) => `@status${i}`).join(', ')})`);
+        statuses.forEach((status, i) => { params[`status${i}`] = status; });
+    }
+    if (from) {
+        conditions.push('created_at >= @from');
+        params.from = from;
+    }
+    if (to) {
+        conditions.push('created_at < @to');
+        params.to = to;
+    }
+    if (userEmail) {
+        conditions.push('lower(user_email) = lower(@userEmail)');
+        params.userEmail = userEmail;
+    }
+    if (purchaseType) {
+        conditions.push('purchase_type = @purchaseType');
+        params.purchaseType = purchaseType;
+    }
+    if (appVersion) {
+        conditions.push('app_version = @appVersion');
+        params.appVersion = appVersion;
+    }
+
+    // Keyset pagination: rows strictly after the last one of the previous page (newest first)
+    if (before) {
+        conditions.push('(created_at, payment_intent_id) < (@beforeCreatedAt, @beforeId)');
+        params.beforeCreatedAt = before.createdAt;
+        params.beforeId = before.paymentIntentId;
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+};
+
+/**
+ * Create the transactions repository on top of an open database
+ */
+const createTransactionsRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        get: db.prepare('SELECT * FROM transactions WHERE payment_intent_id = ?'),
+        listByUser: db.prepare('SELECT * FROM transactions WHERE user_id = ? ORDER BY created_at DESC'),
+        getByIdempotencyKey: db.prepare('SELECT * FROM transactions WHERE user_id = ? AND idempotency_key = ?'),
+        findPending: db.prepare(`
+            SELECT * FROM transactions
+            WHERE user_id = ? AND purchase_type = ? AND status = 'pending'
+            ORDER BY created_at DESC
+            LIMIT 1
+        `),
+        listAll: db.prepare('SELECT * FROM transactions ORDER BY created_at DESC'),
+        hasDisputedPayment: db.prepare(`SELECT 1 FROM transactions WHERE subscription_id = ? AND status = 'disputed' LIMIT 1`),
+        count: db.prepare('SELECT COUNT(*) AS count FROM transactions'),
+        anonymizeUser: db.prepare(`
+            UPDATE transactions
+            SET user_id = ?, user_name = NULL, user_email = NULL, device_info = NULL, idempotency_key = NULL
+            WHERE user_id = ?
+        `),
+        summary: db.prepare(`SELECT ${AGGREGATES} FROM transactions`),
+        paidByUser: db.prepare(`
+            SELECT
+                COUNT(*) AS successfulPurchases,
+                COALESCE(SUM(amount - refunded_amount), 0) AS totalSpent
+            FROM transactions
+            WHERE user_id = ? AND status IN ('completed', 'partially_refunded')
+        `),
+        save: db.prepare(`
+            INSERT INTO transactions (
+                payment_intent_id, user_id, user_name, user_email, amount, currency, status, created_at,
+                completed_at, failed_at, failure_message, canceled_at, refunded_amount, refunded_at,
+                disputed_amount, disputed_at, dispute_status, device_info, app_version, purchase_type, subscription_id,
+                idempotency_key
+            ) VALUES (
+                @paymentIntentId, @userId, @userName, @userEmail, @amount, @currency, @status, @createdAt,
+                @completedAt, @failedAt, @failureMessage, @canceledAt, @refundedAmount, @refundedAt,
+                @disputedAmount, @disputedAt, @disputeStatus, @deviceInfo, @appVersion, @purchaseType, @subscriptionId,
+                @idempotencyKey
+            )
+            ON CONFLICT (payment_intent_id) DO UPDATE SET
+                status = excluded.status,
+                completed_at = excluded.completed_at,
+                failed_at = excluded.failed_at,
+                failure_message = excluded.failure_message,
+                canceled_at = excluded.canceled_at,
+                refunded_amount = excluded.refunded_amount,
+                refunded_at = excluded.refunded_at,
+                disputed_amount = excluded.disputed_amount,
+                disputed_at = excluded.disputed_at,
+                dispute_status = excluded.dispute_status
+        `)
+    };
+
+    // Filtered queries depend on which filters are set, so prepare each variant once on first use
+    const filteredStatements = new Map();
+    const prepareFiltered = (sql) => {
+        if (!filteredStatements.has(sql)) {
+            filteredStatements.set(sql, db.prepare(sql));
+        }
+        return filteredStatements.get(sql);
+    };
+
+    return {
+        // Get a single transaction by payment intent ID (null if unknown)
+        get: (paymentIntentId) => fromRow(statements.get.get(paymentIntentId)),
+
+        // Check whether a transaction exists
+        has: (paymentIntentId) => statements.get.get(paymentIntentId) !== undefined,
+
+        // Get the transaction a user created with an Idempotency-Key (null if none)
+        getByIdempotencyKey: (userId, idempotencyKey) =>
+            fromRow(statements.getByIdempotencyKey.get(userId, idempotencyKey)),
+
+        // Get a user's most recent pending transaction for a purchase type (null if none)
+        findPending: (userId, purchaseType) => fromRow(statements.findPending.get(userId, purchaseType)),
+
+        // List a user's transactions, newest first
+        listByUser: (userId) => statements.listByUser.all(userId).map(fromRow),
+
+        // Check whether a payment of a subscription is under an open (or lost) dispute
+        hasDisputedPayment: (subscriptionId) => statements.hasDisputedPayment.get(subscriptionId) !== undefined,
+
+        // List every transaction, newest first
+        listAll: () => statements.listAll.all().map(fromRow),
+
+        // Count all transactions
+        count: () => statements.count.get().count,
+
+        // Aggregate counts, net revenue, refunds and disputes across all (or the filtered) transactions
+        summary: (filters) => {
+            if (!filters) {
+                return statements.summary.get();
+            }
+            const { where, params } = buildFilter(filters);
+            return prepareFiltered(`SELECT ${AGGREGATES} FROM transactions ${where}`).get(params);
+        },
+
+        // List one page of filtered transactions, newest first (pass the last row as `before` for the next page)
+        search: (filters, limit) => {
+            const { where, params } = buildFilter(filters);
+            return prepareFiltered(`
+                SELECT * FROM transactions ${where}
+                ORDER BY created_at DESC, payment_intent_id DESC
+                LIMIT @limit
+            `).all({ ...params, limit }).map(fromRow);
+        },
+
+        // Walk every filtered transaction, newest first, without loading them all at once
+        *iterate(filters) {
+            const { where, params } = buildFilter(filters);
+            const rows = prepareFiltered(`
+                SELECT * FROM transactions ${where}
+                ORDER BY created_at DESC, payment_intent_id DESC
+            `).iterate(params);
+            for (const row of rows) {
+                yield fromRow(row);
+            }
+        },
+
+        // Aggregate filtered transactions per day, week or month, oldest first
+        revenueByPeriod: (period, filters) => {
+            const { where, params } = buildFilter(filters);
+            return prepareFiltered(`
+                SELECT ${PERIODS[period]} AS period, ${AGGREGATES}
+                FROM transactions ${where}
+                GROUP BY 1
+                ORDER BY 1
+            `).all(params);
+        },
+
+        // Aggregate filtered transactions per app version or device, highest revenue first
+        revenueByDimension: (dimension, filters) => {
+            const { where, params } = buildFilter(filters);
+            return prepareFiltered(`
+                SELECT COALESCE(${DIMENSIONS[dimension]}, 'unknown') AS ${dimension}, ${AGGREGATES}
+                FROM transactions ${where}
+                GROUP BY 1
+                ORDER BY totalRevenue DESC, totalTransactions DESC
+            `).all(params);
+        },
+
+        // Strip personal data from a deleted user's transactions and move them to an anonymous ID
+        // (amounts, statuses and dates are kept for accounting); returns rows changed
+        anonymizeUser: (userId, anonymousId) => statements.anonymizeUser.run(anonymousId, userId).changes,
+
+        // Aggregate a user's paid (not fully refunded) transactions
+        paidByUser: (userId) => statements.paidByUser.get(userId),
+
+        // Insert or update a transaction record
+        save: (transaction) => {
+            statements.save.run({
+                paymentIntentId: transaction.paymentIntentId,
+                userId: transaction.userId,
+                userName: transaction.userName ?? null,
+                userEmail: transaction.userEmail ?? null,
+                amount: transaction.amount,
+                currency: transaction.currency,
+                status: transaction.status,
+                createdAt: transaction.createdAt,
+                completedAt: transaction.completedAt ?? null,
+                failedAt: transaction.failedAt ?? null,
+                failureMessage: transaction.failureMessage ?? null,
+                canceledAt: transaction.canceledAt ?? null,
+                refundedAmount: transaction.refundedAmount || 0,
+                refundedAt: transaction.refundedAt ?? null,
+                disputedAmount: transaction.disputedAmount || 0,
+                disputedAt: transaction.disputedAt ?? null,
+                disputeStatus: transaction.disputeStatus ?? null,
+                deviceInfo: transaction.deviceInfo ?? null,
+                appVersion: transaction.appVersion ?? null,
+                purchaseType: transaction.purchaseType ?? null,
+                subscriptionId: transaction.subscriptionId ?? null,
+                idempotencyKey: transaction.idempotencyKey ?? null
+            });
+            return transaction;
+        }
+    };
+};
+
+module.exports = createTransactionsRepository;
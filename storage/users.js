@@ -0,0 +1,125 @@
+// Users repository (one row per paying/app user)
+
+// Convert a database row into the user object shape used by the API
+const fromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        userId: row.user_id,                                    // User identifier
+        userName: row.user_name,                                // User display name
+        userEmail: row.user_email,                              // User email
+        firstSeen: row.first_seen,                              // First time user was seen
+        lastPurchaseAttempt: row.last_purchase_attempt,         // Last purchase attempt
+        lastSuccessfulPurchase: row.last_successful_purchase,   // Last successful purchase
+        totalAttempts: row.total_attempts,                      // Purchase attempt counter
+        successfulPurchases: row.successful_purchases,          // Successful purchase counter
+        totalSpent: row.total_spent,                            // Net amount spent in cents
+        isPremium: row.is_premium === 1,                        // Premium status
+        role: row.role,                                         // Access role (user | admin)
+        stripeCustomerId: row.stripe_customer_id                // Stripe Customer (subscriptions)
+    };
+};
+
+/**
+ * Create the users repository on top of an open database
+ */
+const createUsersRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        get: db.prepare('SELECT * FROM users WHERE user_id = ?'),
+        count: db.prepare('SELECT COUNT(*) AS count FROM users'),
+        purchaseCounters: db.prepare(`
+            SELECT
+                COALESCE(SUM(total_attempts), 0) AS totalAttempts,
+                COALESCE(SUM(successful_purchases), 0) AS successfulPurchases
+            FROM users
+        `),
+        getCredentialsByEmail: db.prepare(`
+            SELECT user_id, password_hash FROM users
+            WHERE lower(user_email) = lower(?) AND password_hash IS NOT NULL
+        `),
+        hasPassword: db.prepare('SELECT password_hash IS NOT NULL AS hasPassword FROM users WHERE user_id = ?'),
+        setPassword: db.prepare('UPDATE users SET password_hash = ? WHERE user_id = ?'),
+        setRole: db.prepare('UPDATE users SET role = ? WHERE user_id = ?'),
+        remove: db.prepare('DELETE FROM users WHERE user_id = ?'),
+        save: db.prepare(`
+            INSERT INTO users (
+                user_id, user_name, user_email, first_seen, last_purchase_attempt, last_successful_purchase,
+                total_attempts, successful_purchases, total_spent, is_premium, stripe_customer_id
+            ) VALUES (
+                @userId, @userName, @userEmail, @firstSeen, @lastPurchaseAttempt, @lastSuccessfulPurchase,
+                @totalAttempts, @successfulPurchases, @totalSpent, @isPremium, @stripeCustomerId
+            )
+            ON CONFLICT (user_id) DO UPDATE SET
+                user_name = excluded.user_name,
+                user_email = excluded.user_email,
+                last_purchase_attempt = excluded.last_purchase_attempt,
+                last_successful_purchase = excluded.last_successful_purchase,
+                total_attempts = excluded.total_attempts,
+                successful_purchases = excluded.successful_purchases,
+                total_spent = excluded.total_spent,
+                is_premium = excluded.is_premium,
+                stripe_customer_id = excluded.stripe_customer_id
+        `)
+    };
+
+    return {
+        // Get a single user by ID (null if unknown)
+        get: (userId) => fromRow(statements.get.get(userId)),
+
+        // Check whether a user exists
+        has: (userId) => statements.get.get(userId) !== undefined,
+
+        // Count all users
+        count: () => statements.count.get().count,
+
+        // Sum the purchase attempt and success counters across all users
+        purchaseCounters: () => statements.purchaseCounters.get(),
+
+        // Get the login credentials registered for an email (null if none)
+        getCredentialsByEmail: (email) => {
+            const row = statements.getCredentialsByEmail.get(email);
+            return row ? { userId: row.user_id, passwordHash: row.password_hash } : null;
+        },
+
+        // Check whether a user has set a password (i.e. registered an account)
+        hasPassword: (userId) => statements.hasPassword.get(userId)?.hasPassword === 1,
+
+        // Store a user's password hash
+        setPassword: (userId, passwordHash) => {
+            statements.setPassword.run(passwordHash, userId);
+        },
+
+        // Change a user's role
+        setRole: (userId, role) => {
+            statements.setRole.run(role, userId);
+        },
+
+        // Insert or update a user record
+        save: (user) => {
+            statements.save.run({
+                userId: user.userId,
+                userName: user.userName ?? null,
+                userEmail: user.userEmail ?? null,
+                firstSeen: user.firstSeen || new Date().toISOString(),
+                lastPurchaseAttempt: user.lastPurchaseAttempt ?? null,
+                lastSuccessfulPurchase: user.lastSuccessfulPurchase ?? null,
+                totalAttempts: user.totalAttempts || 0,
+                successfulPurchases: user.successfulPurchases || 0,
+                totalSpent: user.totalSpent || 0,
+                isPremium: user.isPremium ? 1 : 0,
+                stripeCustomerId: user.stripeCustomerId ?? null
+            });
+            return user;
+        },
+
+        // Delete a user record (login credentials included)
+        remove: (userId) => {
+            statements.remove.run(userId);
+        }
+    };
+};
+
+module.exports = createUsersRepository;
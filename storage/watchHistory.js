@@ -0,0 +1,98 @@
+// Watch history repository (one row per viewer and video, updated by playback events)
+
+// Convert a database row into the history entry shape used by the API
+const fromRow = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        userId: row.user_id,                                    // Parent user identifier
+        profileId: row.profile_id,                              // Child profile (null = parent)
+        videoId: row.video_id,                                  // Cloudinary public ID
+        position: row.position,                                 // Last playback position in seconds
+        duration: row.duration,                                 // Video duration in seconds
+        completed: row.completed === 1,                         // Watched to the end
+        watchedSeconds: row.watched_seconds,                    // Total time spent watching
+        startedAt: row.started_at,                              // First playback
+        lastEventAt: row.last_event_at                          // Latest playback event
+    };
+};
+
+/**
+ * Create the watch history repository on top of an open database
+ */
+const createWatchHistoryRepository = (db) => {
+    // Prepare statements once and reuse them for every call
+    const statements = {
+        get: db.prepare('SELECT * FROM watch_history WHERE viewer_id = ? AND video_id = ?'),
+        listByViewer: db.prepare('SELECT * FROM watch_history WHERE viewer_id = ? ORDER BY last_event_at DESC LIMIT ?'),
+        listByUser: db.prepare('SELECT * FROM watch_history WHERE user_id = ? ORDER BY last_event_at DESC'),
+        listInProgress: db.prepare(`
+            SELECT * FROM watch_history
+            WHERE viewer_id = ? AND completed = 0 AND position > 0
+            ORDER BY last_event_at DESC
+            LIMIT ?
+        `),
+        save: db.prepare(`
+            INSERT INTO watch_history (
+                viewer_id, user_id, profile_id, video_id, position, duration, completed,
+                watched_seconds, started_at, last_event_at
+            ) VALUES (
+                @viewerId, @userId, @profileId, @videoId, @position, @duration, @completed,
+                @watchedSeconds, @startedAt, @lastEventAt
+            )
+            ON CONFLICT (viewer_id, video_id) DO UPDATE SET
+                position = excluded.position,
+                duration = excluded.duration,
+                completed = excluded.completed,
+                watched_seconds = excluded.watched_seconds,
+                last_event_at = excluded.last_event_at
+        `),
+        removeByViewer: db.prepare('DELETE FROM watch_history WHERE viewer_id = ?'),
+        removeByUser: db.prepare('DELETE FROM watch_history WHERE user_id = ?')
+    };
+
+    return {
+        // Get a viewer's entry for one video (null if never watched)
+        get: (viewerId, videoId) => fromRow(statements.get.get(viewerId, videoId)),
+
+        // List a viewer's history, most recently watched first
+        listByViewer: (viewerId, limit = 50) => statements.listByViewer.all(viewerId, limit).map(fromRow),
+
+        // List the whole household's history (parent and every child profile), most recently watched first
+        listByUser: (userId) => statements.listByUser.all(userId).map(fromRow),
+
+        // List videos a viewer started but did not finish ("continue watching")
+        listInProgress: (viewerId, limit = 20) => statements.listInProgress.all(viewerId, limit).map(fromRow),
+
+        // Insert or update a viewer's entry for one video
+        save: (viewerId, entry) => {
+            statements.save.run({
+                viewerId,
+                userId: entry.userId,
+                profileId: entry.profileId ?? null,
+                videoId: entry.videoId,
+                position: entry.position || 0,
+                duration: entry.duration ?? null,
+                completed: entry.completed ? 1 : 0,
+                watchedSeconds: entry.watchedSeconds || 0,
+                startedAt: entry.startedAt,
+                lastEventAt: entry.lastEventAt
+            });
+            return entry;
+        },
+
+        // Delete a viewer's history
+        removeByViewer: (viewerId) => {
+            statements.removeByViewer.run(viewerId);
+        },
+
+        // Delete the whole household's history
+        removeByUser: (userId) => {
+            statements.removeByUser.run(userId);
+        }
+    };
+};
+
+module.exports = createWatchHistoryRepository;
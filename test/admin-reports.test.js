@@ -0,0 +1,120 @@
+// End-to-end admin reporting: transaction filters, the CSV export and the revenue report
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ADMIN_EMAIL, startServer, register } = require('./helpers');
+
+// Calendar day (YYYY-MM-DD) `offset` days from today, in UTC like the stored timestamps
+const day = (offset = 0) => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('admin transaction reports', () => {
+    let server;
+    let admin;
+
+    // Start a lifetime purchase from the given app version and give it an outcome (null leaves it pending)
+    const purchase = async (buyer, appVersion, outcome) => {
+        const payment = await server.request('POST', '/api/create-payment', {
+            token: buyer.token,
+            body: { productId: 'lifetime', appVersion: appVersion, deviceInfo: 'iPhone' }
+        });
+        assert.equal(payment.status, 200);
+        if (outcome) {
+            await server.request('POST', `/api/local-payments/${payment.body.paymentIntentId}/simulate`, {
+                token: buyer.token,
+                body: { outcome: outcome }
+            });
+        }
+    };
+
+    // Emails of the transactions matching a query string
+    const listEmails = async (query) => {
+        const { status, body } = await server.request('GET', `/api/admin/transactions?${query}`, { token: admin.token });
+        assert.equal(status, 200);
+        return body.transactions.map(transaction => transaction.userEmail).sort();
+    };
+
+    before(async () => {
+        server = await startServer();
+        admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+
+        await purchase(await register(server.request, { userEmail: 'alice@kidtok.test' }), '2.0.0', 'succeeded');
+        await purchase(await register(server.request, { userEmail: 'bob@kidtok.test' }), '1.0.0', 'failed');
+        await purchase(await register(server.request, { userName: '=HYPERLINK("http://evil.test")', userEmail: 'carol@kidtok.test' }), '2.0.0', null);
+    });
+
+    after(() => server?.stop());
+
+    it('filters transactions by status, dates, email, product and app version', async () => {
+        assert.deepEqual(await listEmails('status=completed'), ['alice@kidtok.test']);
+        assert.deepEqual(await listEmails('status=failed,pending'), ['bob@kidtok.test', 'carol@kidtok.test']);
+        assert.deepEqual(await listEmails('userEmail=ALICE@kidtok.test'), ['alice@kidtok.test']);
+        assert.deepEqual(await listEmails('purchaseType=lifetime'), ['alice@kidtok.test', 'bob@kidtok.test', 'carol@kidtok.test']);
+        assert.deepEqual(await listEmails('purchaseType=monthly'), []);
+        assert.deepEqual(await listEmails('appVersion=1.0.0'), ['bob@kidtok.test']);
+
+        // A bare end date covers that whole day
+        assert.equal((await listEmails(`from=${day()}&to=${day()}`)).length, 3);
+        assert.deepEqual(await listEmails(`from=${day(1)}`), []);
+        assert.deepEqual(await listEmails(`to=${day(-1)}`), []);
+
+        const { body } = await server.request('GET', '/api/admin/transactions?appVersion=2.0.0', { token: admin.token });
+        assert.equal(body.summary.totalTransactions, 2);
+        assert.equal(body.summary.completedTransactions, 1);
+        assert.equal(body.summary.totalRevenue, 999);
+    });
+
+    it('rejects unknown statuses and unreadable dates', async () => {
+        for (const query of ['status=paid', 'from=yesterday', 'to=2026-13-45']) {
+            const { status } = await server.request('GET', `/api/admin/transactions?${query}`, { token: admin.token });
+            assert.equal(status, 400, query);
+        }
+    });
+
+    it('exports the filtered transactions as CSV with formulas neutralised', async () => {
+        const { status, headers, body } = await server.request('GET', '/api/admin/transactions/export?appVersion=2.0.0', { token: admin.token });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/csv/);
+        assert.match(headers.get('content-disposition'), /^attachment; filename="transactions-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+        const [header, ...rows] = body.trim().split('\r\n');
+        const columns = header.split(',');
+        assert.equal(columns[0], 'paymentIntentId');
+        assert.equal(rows.length, 2);
+
+        const fields = (email) => {
+            const row = rows.find(line => line.includes(email));
+            assert.ok(row, email);
+            return row;
+        };
+        assert.match(fields('alice@kidtok.test'), /,completed,.*,lifetime,usd,9\.99,0\.00,0\.00,2\.0\.0,iPhone$/);
+        assert.match(fields('carol@kidtok.test'), /,"'=HYPERLINK\(""http:\/\/evil\.test""\)",/);
+    });
+
+    it('reports revenue per period and app version', async () => {
+        const { status, body } = await server.request('GET', '/api/admin/reports/revenue', { token: admin.token });
+        assert.equal(status, 200);
+        assert.equal(body.totals.totalTransactions, 3);
+        assert.equal(body.totals.totalRevenue, 999);
+        assert.deepEqual(body.daily.map(row => [row.period, row.totalRevenue]), [[day(), 999]]);
+        assert.deepEqual(body.monthly.map(row => [row.period, row.totalRevenue]), [[day().slice(0, 7), 999]]);
+        assert.equal(body.weekly.length, 1);
+        assert.equal(body.conversion.successfulPurchases, 1);
+        assert.equal(body.conversion.totalAttempts, 3);
+        assert.deepEqual(
+            body.byAppVersion.map(row => [row.appVersion, row.totalTransactions, row.totalRevenue]),
+            [['2.0.0', 2, 999], ['1.0.0', 1, 0]]
+        );
+
+        const filtered = await server.request('GET', '/api/admin/reports/revenue?appVersion=1.0.0', { token: admin.token });
+        assert.equal(filtered.body.totals.totalTransactions, 1);
+        assert.equal(filtered.body.totals.totalRevenue, 0);
+    });
+
+    it('is only available to admins', async () => {
+        const buyer = await register(server.request, { userEmail: 'dave@kidtok.test' });
+        for (const pathname of ['/api/admin/transactions', '/api/admin/transactions/export', '/api/admin/reports/revenue']) {
+            assert.equal((await server.request('GET', pathname, { token: buyer.token })).status, 403, pathname);
+        }
+    });
+});
@@ -0,0 +1,102 @@
+// End-to-end accounts: registration, login and the per-IP budget on both
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const { startServer, register } = require('./helpers');
+
+describe('login', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ RATE_LIMIT_AUTH_PER_IP: '4' });
+        await register(server.request, { userEmail: 'parent@kidtok.test', password: 'correct-horse' });
+    });
+
+    after(() => server?.stop());
+
+    it('accepts the right password and rejects a wrong one', async () => {
+        const ok = await server.request('POST', '/api/auth/login', {
+            body: { userEmail: 'parent@kidtok.test', password: 'correct-horse' }
+        });
+        assert.equal(ok.status, 200);
+        assert.ok(ok.body.token);
+
+        const wrong = await server.request('POST', '/api/auth/login', {
+            body: { userEmail: 'parent@kidtok.test', password: 'battery-staple' }
+        });
+        assert.equal(wrong.status, 401);
+    });
+
+    it('stops guessing once the IP has used its budget', async () => {
+        const guess = await server.request('POST', '/api/auth/login', {
+            body: { userEmail: 'parent@kidtok.test', password: 'another-guess' }
+        });
+        assert.equal(guess.status, 401);
+
+        const blocked = await server.request('POST', '/api/auth/login', {
+            body: { userEmail: 'parent@kidtok.test', password: 'correct-horse' }
+        });
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.type, 'rate_limit_error');
+        assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    });
+});
+
+describe('claiming a user ID created before accounts existed', () => {
+    let server;
+    let legacy;
+    let clientSecret;
+
+    // Registration body claiming the legacy user ID
+    const claim = (fields) => ({
+        userName: 'Parent',
+        userEmail: 'legacy@kidtok.test',
+        password: 'new-password',
+        userId: legacy.user.userId,
+        ...fields
+    });
+
+    before(async () => {
+        server = await startServer();
+
+        // A buyer who paid, then lost the password: the same as a user from before accounts existed
+        legacy = await register(server.request, { userEmail: 'legacy@kidtok.test' });
+        const payment = await server.request('POST', '/api/create-payment', { token: legacy.token, body: { productId: 'lifetime' } });
+        clientSecret = payment.body.clientSecret;
+
+        const db = new Database(server.databasePath);
+        db.prepare('UPDATE users SET password_hash = NULL WHERE user_id = ?').run(legacy.user.userId);
+        db.close();
+    });
+
+    after(() => server?.stop());
+
+    it('refuses a claim with only the user ID and email', async () => {
+        const { status } = await server.request('POST', '/api/auth/register', { body: claim({}) });
+        assert.equal(status, 409);
+    });
+
+    it('refuses a claim with a client secret that is not the buyer\'s', async () => {
+        const other = await register(server.request, { userEmail: 'other@kidtok.test' });
+        const payment = await server.request('POST', '/api/create-payment', { token: other.token, body: { productId: 'lifetime' } });
+
+        const forged = await server.request('POST', '/api/auth/register', { body: claim({ purchaseClientSecret: payment.body.clientSecret }) });
+        assert.equal(forged.status, 409);
+
+        const guessed = await server.request('POST', '/api/auth/register', {
+            body: claim({ purchaseClientSecret: `${clientSecret.split('_secret_')[0]}_secret_guess` })
+        });
+        assert.equal(guessed.status, 409);
+    });
+
+    it('lets the buyer claim it with the client secret of their payment', async () => {
+        const { status, body } = await server.request('POST', '/api/auth/register', { body: claim({ purchaseClientSecret: clientSecret }) });
+        assert.equal(status, 201);
+        assert.equal(body.user.userId, legacy.user.userId);
+
+        const again = await server.request('POST', '/api/auth/register', { body: claim({ purchaseClientSecret: clientSecret }) });
+        assert.equal(again.status, 409);
+    });
+});
@@ -0,0 +1,185 @@
+// End-to-end catalog behaviour: ETag revalidation, change notifications emptying the catalog cache,
+// search text that cannot reach beyond plain words, and feed paging
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ADMIN_EMAIL, startServer, register, uploadApprovedVideo } = require('./helpers');
+
+// Secret the local media provider signs notifications with
+const MEDIA_SECRET = 'test-media-secret';
+
+describe('catalog caching', () => {
+    let server;
+    let admin;
+    let viewer;
+
+    // IDs of the videos in the feed
+    const feedIds = async () => {
+        const { status, body } = await server.request('GET', '/api/videos', { token: viewer.token });
+        assert.equal(status, 200);
+        return body.videos.map(video => video.id);
+    };
+
+    // Send a change notification, signed the way Cloudinary signs them unless `signature` is given
+    const notify = (body, signature) => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const expected = crypto.createHash('sha1').update(`${JSON.stringify(body)}${timestamp}${MEDIA_SECRET}`).digest('hex');
+        return server.request('POST', '/api/cloudinary/notifications', {
+            body: body,
+            headers: { 'X-Cld-Timestamp': String(timestamp), 'X-Cld-Signature': signature ?? expected }
+        });
+    };
+
+    // Revalidation headers as a browser sends them (fetch would otherwise add Cache-Control: no-cache,
+    // which asks for a full response)
+    const revalidate = (etag) => ({ 'If-None-Match': etag, 'Cache-Control': 'max-age=0' });
+
+    before(async () => {
+        server = await startServer({ LOCAL_MEDIA_SECRET: MEDIA_SECRET });
+        admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+        viewer = await register(server.request, { userEmail: 'viewer@kidtok.test' });
+        await uploadApprovedVideo(server.request, admin.token, { title: 'First clip' });
+    });
+
+    after(() => server?.stop());
+
+    it('answers 304 to a matching If-None-Match until the feed changes', async () => {
+        const first = await server.request('GET', '/api/videos', { token: viewer.token });
+        const etag = first.headers.get('etag');
+        assert.ok(etag);
+
+        const unchanged = await server.request('GET', '/api/videos', { token: viewer.token, headers: revalidate(etag) });
+        assert.equal(unchanged.status, 304);
+        assert.equal(unchanged.body, '');
+
+        await uploadApprovedVideo(server.request, admin.token, { title: 'Second clip' });
+        const changed = await server.request('GET', '/api/videos', { token: viewer.token, headers: revalidate(etag) });
+        assert.equal(changed.status, 200);
+        assert.notEqual(changed.headers.get('etag'), etag);
+    });
+
+    it('serves the cached feed until a signed notification says the catalog changed', async () => {
+        const form = new FormData();
+        form.append('title', 'Approved elsewhere');
+        form.append('file', new Blob([Buffer.from('video bytes')], { type: 'video/mp4' }), 'clip.mp4');
+        const uploaded = await server.request('POST', '/api/admin/videos', { token: admin.token, body: form });
+        const videoId = uploaded.body.video.id;
+        assert.ok(!(await feedIds()).includes(videoId));
+
+        // Another process sharing the media directory approves the video
+        const indexPath = path.join(path.dirname(server.databasePath), 'media', 'index.json');
+        const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+        index.find(resource => resource.public_id === videoId).moderation_status = 'approved';
+        fs.writeFileSync(indexPath, JSON.stringify(index));
+        assert.ok(!(await feedIds()).includes(videoId), 'the feed is still served from the cache');
+
+        const forged = await notify({ notification_type: 'moderation' }, 'not-a-signature');
+        assert.equal(forged.status, 400);
+        assert.ok(!(await feedIds()).includes(videoId));
+
+        const signed = await notify({ notification_type: 'moderation' });
+        assert.equal(signed.status, 200);
+        assert.ok((await feedIds()).includes(videoId));
+    });
+});
+
+describe('video search', () => {
+    let server;
+    let viewer;
+    let dinosaurId;
+
+    // IDs of the videos a search returns
+    const search = async (q) => {
+        const { status, body } = await server.request('GET', `/api/videos/search?q=${encodeURIComponent(q)}`, { token: viewer.token });
+        assert.equal(status, 200, q);
+        return body.videos.map(video => video.id);
+    };
+
+    before(async () => {
+        server = await startServer();
+        const admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+        viewer = await register(server.request, { userEmail: 'viewer@kidtok.test' });
+        dinosaurId = await uploadApprovedVideo(server.request, admin.token, { title: 'Dinosaur Dance', tags: 'music' });
+        await uploadApprovedVideo(server.request, admin.token, { title: 'Ocean Friends' });
+
+        // A video waiting for review must never be reachable through search
+        const form = new FormData();
+        form.append('title', 'Dinosaur Draft');
+        form.append('file', new Blob([Buffer.from('video bytes')], { type: 'video/mp4' }), 'clip.mp4');
+        await server.request('POST', '/api/admin/videos', { token: admin.token, body: form });
+    });
+
+    after(() => server?.stop());
+
+    it('matches the words left after quotes, wildcards and other characters are stripped', async () => {
+        for (const q of ['dino', '"Dinosaur"', 'dino*', 'DINO\\', 'Dinosaur-Dance!', '(dance) music?']) {
+            assert.deepEqual(await search(q), [dinosaurId], q);
+        }
+    });
+
+    it('treats operators and field names as plain words', async () => {
+        assert.deepEqual(await search('dinosaur OR ocean'), []);
+        assert.deepEqual(await search('tags:music'), []);
+        assert.deepEqual(await search('dino AND moderation_status=pending'), []);
+        assert.deepEqual(await search('dino* -title:draft'), []);
+    });
+
+    it('rejects a query with no letters or digits', async () => {
+        const { status } = await server.request('GET', `/api/videos/search?q=${encodeURIComponent('"*" && ()')}`, { token: viewer.token });
+        assert.equal(status, 400);
+    });
+});
+
+describe('feed paging', () => {
+    // More videos than the largest page
+    const VIDEO_COUNT = 101;
+    let server;
+    let viewer;
+
+    // Fetch one feed page
+    const page = (query) => server.request('GET', `/api/videos?${query}`, { token: viewer.token });
+
+    before(async () => {
+        server = await startServer();
+        const admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+        viewer = await register(server.request, { userEmail: 'viewer@kidtok.test' });
+        for (let i = 0; i < VIDEO_COUNT; i += 1) {
+            await uploadApprovedVideo(server.request, admin.token, { title: `Clip ${i}` });
+        }
+    });
+
+    after(() => server?.stop());
+
+    it('walks the whole feed by following nextCursor', async () => {
+        const seen = [];
+        let cursor = null;
+        do {
+            const { status, body } = await page(`limit=40${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+            assert.equal(status, 200);
+            assert.ok(body.videos.length <= 40);
+            seen.push(...body.videos.map(video => video.id));
+            cursor = body.nextCursor;
+        } while (cursor);
+
+        assert.equal(seen.length, VIDEO_COUNT);
+        assert.equal(new Set(seen).size, VIDEO_COUNT);
+    });
+
+    it('caps the page size at 100', async () => {
+        const { body } = await page('limit=500');
+        assert.equal(body.videos.length, 100);
+        assert.equal(body.totalCount, VIDEO_COUNT);
+        assert.ok(body.nextCursor);
+    });
+
+    it('rejects a cursor it did not hand out', async () => {
+        for (const cursor of ['not-a-cursor', '-5', '1.5']) {
+            const { status } = await page(`cursor=${cursor}`);
+            assert.equal(status, 400, cursor);
+        }
+    });
+});
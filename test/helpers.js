@@ -0,0 +1,145 @@
+// Helpers for the end-to-end tests: start the server offline (local payment and media providers)
+// in a temporary directory, and call its API
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Email the test server treats as an admin
+const ADMIN_EMAIL = 'admin@kidtok.test';
+
+// How long the server may take to start, in milliseconds
+const STARTUP_TIMEOUT_MS = 15000;
+
+// Find a free TCP port on this machine
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/**
+ * Start server.js with the local providers, a fresh database and media directory, and `env` on top.
+ * Resolves with { baseUrl, databasePath, request, stop } once the server listens.
+ */
+const startServer = async (env = {}) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kidtok-test-'));
+    const port = await findFreePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const databasePath = path.join(directory, 'kidtok.db');
+
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            PUBLIC_URL: baseUrl,
+            JWT_SECRET: 'test-jwt-secret',
+            ADMIN_EMAILS: ADMIN_EMAIL,
+            PAYMENT_PROVIDER: 'local',
+            MEDIA_PROVIDER: 'local',
+            LOCAL_PAYMENTS_FILE: ':memory:',
+            LOCAL_MEDIA_DIR: path.join(directory, 'media'),
+            DATABASE_PATH: databasePath,
+            LOG_LEVEL: 'error',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // Keep the output for the error message if the server does not come up
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    // Wait until /healthz answers (or the process dies)
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (true) {
+        if (child.exitCode !== null) {
+            throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+        }
+        if (Date.now() > deadline) {
+            child.kill();
+            throw new Error(`Server did not start within ${STARTUP_TIMEOUT_MS} ms:\n${output}`);
+        }
+        try {
+            if ((await fetch(`${baseUrl}/healthz`)).ok) {
+                break;
+            }
+        } catch {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    // Call the API; JSON bodies are serialized, FormData is sent as multipart. Resolves with { status, headers, body }
+    const request = async (method, pathname, { token, body, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method: method,
+            headers: {
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...(body && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body instanceof FormData ? body : body && JSON.stringify(body)
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            // Not JSON (a served file)
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    };
+
+    // Stop the server and remove its files
+    const stop = async () => {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    };
+
+    return { baseUrl, databasePath, request, stop };
+};
+
+// Register an account and return { token, user }
+const register = async (request, { userName = 'Parent', userEmail, password = 'correct-horse' }) => {
+    const response = await request('POST', '/api/auth/register', {
+        body: { userName: userName, userEmail: userEmail, password: password }
+    });
+    if (response.status !== 201) {
+        throw new Error(`Registration failed (${response.status}): ${JSON.stringify(response.body)}`);
+    }
+    return response.body;
+};
+
+// Upload a small video as an admin, approve it into the feed and return its ID
+const uploadApprovedVideo = async (request, adminToken, fields, bytes = Buffer.from('video bytes')) => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    form.append('file', new Blob([bytes], { type: 'video/mp4' }), 'clip.mp4');
+
+    const uploaded = await request('POST', '/api/admin/videos', { token: adminToken, body: form });
+    if (uploaded.status !== 201) {
+        throw new Error(`Upload failed (${uploaded.status}): ${JSON.stringify(uploaded.body)}`);
+    }
+
+    const id = uploaded.body.video.id;
+    const approved = await request('POST', `/api/admin/videos/${encodeURIComponent(id)}/approve`, { token: adminToken });
+    if (approved.status !== 200) {
+        throw new Error(`Approval failed (${approved.status}): ${JSON.stringify(approved.body)}`);
+    }
+    return id;
+};
+
+module.exports = { ADMIN_EMAIL, startServer, register, uploadApprovedVideo };
@@ -0,0 +1,82 @@
+// End-to-end HTTP protections: per-user budgets on the catalog and payments, and the CORS allowlist
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, register } = require('./helpers');
+
+// Browser origin the test server allows
+const ALLOWED_ORIGIN = 'https://admin.kidtok.test';
+
+describe('rate limits and CORS', () => {
+    let server;
+
+    // Send a request `times` times and return the last response
+    const repeat = async (times, send) => {
+        let response;
+        for (let i = 0; i < times; i += 1) {
+            response = await send();
+        }
+        return response;
+    };
+
+    // Check a 429 response carries what the app needs to back off
+    const assertLimited = (response) => {
+        assert.equal(response.status, 429);
+        assert.equal(response.body.type, 'rate_limit_error');
+        assert.ok(Number(response.headers.get('retry-after')) > 0);
+        assert.equal(response.headers.get('ratelimit-remaining'), '0');
+    };
+
+    before(async () => {
+        server = await startServer({
+            RATE_LIMIT_CATALOG_PER_USER: '3',
+            RATE_LIMIT_PAYMENT_PER_USER: '2',
+            CORS_ORIGINS: `${ALLOWED_ORIGIN}/`
+        });
+    });
+
+    after(() => server?.stop());
+
+    it('limits catalog requests per user', async () => {
+        const parent = await register(server.request, { userEmail: 'browser@kidtok.test' });
+        const allowed = await repeat(3, () => server.request('GET', '/api/videos', { token: parent.token }));
+        assert.equal(allowed.status, 200);
+
+        // Search shares the feed's budget
+        assertLimited(await server.request('GET', '/api/videos/search?q=clip', { token: parent.token }));
+
+        // Another household on the same IP keeps its own budget
+        const neighbour = await register(server.request, { userEmail: 'neighbour@kidtok.test' });
+        assert.equal((await server.request('GET', '/api/videos', { token: neighbour.token })).status, 200);
+    });
+
+    it('limits payment requests per user', async () => {
+        const buyer = await register(server.request, { userEmail: 'buyer@kidtok.test' });
+        const createPayment = () => server.request('POST', '/api/create-payment', { token: buyer.token, body: { productId: 'lifetime' } });
+
+        assert.equal((await repeat(2, createPayment)).status, 200);
+        assertLimited(await createPayment());
+    });
+
+    it('allows listed browser origins and refuses others', async () => {
+        const preflight = (origin) => fetch(`${server.baseUrl}/api/videos`, {
+            method: 'OPTIONS',
+            headers: { Origin: origin, 'Access-Control-Request-Method': 'GET', 'Access-Control-Request-Headers': 'authorization' }
+        });
+
+        const allowed = await preflight(ALLOWED_ORIGIN);
+        assert.equal(allowed.status, 204);
+        assert.equal(allowed.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+
+        const refused = await preflight('https://evil.test');
+        assert.equal(refused.headers.get('access-control-allow-origin'), null);
+
+        // Simple requests from a refused origin get no CORS headers either, so the browser hides the response
+        const simple = await server.request('GET', '/healthz', { headers: { Origin: 'https://evil.test' } });
+        assert.equal(simple.headers.get('access-control-allow-origin'), null);
+        const exposed = await server.request('GET', '/healthz', { headers: { Origin: ALLOWED_ORIGIN } });
+        assert.equal(exposed.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+        assert.match(exposed.headers.get('access-control-expose-headers'), /Retry-After/);
+    });
+});
@@ -0,0 +1,106 @@
+// End-to-end video delivery with the local media provider: protected files are only reachable
+// through the expiring playback URL
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ADMIN_EMAIL, startServer, register, uploadApprovedVideo } = require('./helpers');
+
+// Bytes standing in for an uploaded video file
+const VIDEO_BYTES = Buffer.from('not really an mp4, but the local provider does not look');
+
+describe('premium video delivery (MEDIA_PROVIDER=local)', () => {
+    let server;
+    let admin;
+    let buyer;
+    let viewer;
+    let videoId;
+
+    // Upload a video as the admin and approve it into the feed
+    const uploadApproved = (fields) => uploadApprovedVideo(server.request, admin.token, fields, VIDEO_BYTES);
+
+    before(async () => {
+        server = await startServer();
+        admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+        buyer = await register(server.request, { userEmail: 'buyer@kidtok.test' });
+        viewer = await register(server.request, { userEmail: 'viewer@kidtok.test' });
+
+        // Give the buyer premium through the local payment provider
+        const payment = await server.request('POST', '/api/create-payment', { token: buyer.token, body: { productId: 'lifetime' } });
+        await server.request('POST', `/api/local-payments/${payment.body.paymentIntentId}/simulate`, {
+            token: buyer.token,
+            body: { outcome: 'succeeded' }
+        });
+
+        videoId = await uploadApproved({ title: 'Premium clip', premium: 'true' });
+    });
+
+    after(() => server?.stop());
+
+    it('gives viewers without premium no link to a premium file', async () => {
+        const { status, body } = await server.request('GET', '/api/videos', { token: viewer.token });
+        assert.equal(status, 200);
+
+        const video = body.videos.find(v => v.id === videoId);
+        assert.ok(video, 'premium video is listed');
+        assert.equal(video.locked, true);
+        assert.equal(video.url, null);
+        assert.equal(video.thumbnailUrl, null);
+        assert.equal(video.animatedPreviewUrl, null);
+        assert.deepEqual(Object.values(video.thumbnails), [null, null, null]);
+    });
+
+    it('lists only approved videos', async () => {
+        const form = new FormData();
+        form.append('title', 'Waiting for review');
+        form.append('file', new Blob([VIDEO_BYTES], { type: 'video/mp4' }), 'clip.mp4');
+        const pending = await server.request('POST', '/api/admin/videos', { token: admin.token, body: form });
+        assert.equal(pending.status, 201);
+
+        const { body } = await server.request('GET', '/api/videos', { token: viewer.token });
+        assert.ok(!body.videos.some(video => video.id === pending.body.video.id));
+    });
+
+    it('refuses unsigned and unexpiring file URLs', async () => {
+        const { status } = await server.request('GET', `/local-media/authenticated/${videoId}.mp4`);
+        assert.equal(status, 403);
+    });
+
+    it('plays a premium video for a buyer through an expiring URL', async () => {
+        const denied = await server.request('GET', `/api/videos/${encodeURIComponent(videoId)}/play`, { token: viewer.token });
+        assert.equal(denied.status, 403);
+
+        const { status, body } = await server.request('GET', `/api/videos/${encodeURIComponent(videoId)}/play`, { token: buyer.token });
+        assert.equal(status, 200);
+        assert.ok(body.expiresAt);
+
+        const file = await fetch(body.url);
+        assert.equal(file.status, 200);
+        assert.deepEqual(Buffer.from(await file.arrayBuffer()), VIDEO_BYTES);
+    });
+
+    it('plays a premium video stored with public delivery through an expiring URL too', async () => {
+        const publicPremiumId = await uploadApproved({ title: 'Tagged clip', tags: 'premium' });
+
+        const { status, body } = await server.request('GET', `/api/videos/${encodeURIComponent(publicPremiumId)}/play`, { token: buyer.token });
+        assert.equal(status, 200);
+        assert.equal(body.isPremium, true);
+        assert.ok(body.expiresAt);
+        assert.match(body.url, /[?&]expires=/);
+        assert.equal((await fetch(body.url)).status, 200);
+
+        // The file itself is refused without the signature
+        const unsigned = await server.request('GET', `/local-media/upload/${publicPremiumId}.mp4`);
+        assert.equal(unsigned.status, 403);
+
+        // Viewers without premium see it locked, with no link that leads to the file
+        const feed = await server.request('GET', '/api/videos', { token: viewer.token });
+        const video = feed.body.videos.find(v => v.id === publicPremiumId);
+        assert.equal(video.locked, true);
+        assert.equal(video.url, null);
+        assert.equal(video.renditions, null);
+        assert.equal(video.thumbnailUrl, null);
+        assert.equal(video.animatedPreviewUrl, null);
+        assert.deepEqual(Object.values(video.thumbnails), [null, null, null]);
+    });
+});
@@ -0,0 +1,63 @@
+// End-to-end parental content rules: household settings narrowed by a child profile
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ADMIN_EMAIL, startServer, register, uploadApprovedVideo } = require('./helpers');
+
+describe('allowed categories of a household and a child profile', () => {
+    let server;
+    let parent;
+    let animalVideoId;
+
+    before(async () => {
+        server = await startServer();
+        const admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+        parent = await register(server.request, { userEmail: 'parent@kidtok.test' });
+
+        await uploadApprovedVideo(server.request, admin.token, { title: 'Song', categories: 'music' });
+        animalVideoId = await uploadApprovedVideo(server.request, admin.token, { title: 'Zoo', categories: 'animals' });
+
+        const saved = await server.request('PUT', `/api/user/${parent.user.userId}/parental-settings`, {
+            token: parent.token,
+            body: { allowedCategories: ['animals'] }
+        });
+        assert.equal(saved.status, 200);
+    });
+
+    after(() => server?.stop());
+
+    // Create a child profile with its own allowed categories and load its feed
+    const feedForProfile = async (allowedCategories) => {
+        const profile = await server.request('POST', `/api/user/${parent.user.userId}/profiles`, {
+            token: parent.token,
+            body: { name: 'Kid', contentSettings: { allowedCategories: allowedCategories } }
+        });
+        assert.equal(profile.status, 201);
+
+        const feed = await server.request('GET', `/api/videos?profileId=${profile.body.profileId}`, { token: parent.token });
+        assert.equal(feed.status, 200);
+        return feed.body;
+    };
+
+    it('keeps the categories both allow', async () => {
+        const feed = await feedForProfile(['animals', 'music']);
+
+        assert.deepEqual(feed.filters.categories, ['animals']);
+        assert.deepEqual(feed.videos.map(video => video.id), [animalVideoId]);
+    });
+
+    it('uses the household list when the profile sets none', async () => {
+        const feed = await feedForProfile([]);
+
+        assert.deepEqual(feed.filters.categories, ['animals']);
+        assert.deepEqual(feed.videos.map(video => video.id), [animalVideoId]);
+    });
+
+    it('shows nothing when the lists do not overlap', async () => {
+        const feed = await feedForProfile(['music']);
+
+        assert.deepEqual(feed.filters.categories, []);
+        assert.deepEqual(feed.videos, []);
+    });
+});
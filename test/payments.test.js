@@ -0,0 +1,275 @@
+// End-to-end payment flow with the local payment provider: register, buy, simulate the outcome,
+// unlock premium and refund it, and never create two payments for one purchase
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const { ADMIN_EMAIL, startServer, register } = require('./helpers');
+
+describe('lifetime purchase (PAYMENT_PROVIDER=local)', () => {
+    let server;
+    let parent;
+    let admin;
+    let paymentIntentId;
+
+    before(async () => {
+        server = await startServer();
+        parent = await register(server.request, { userEmail: 'parent@kidtok.test' });
+        admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+    });
+
+    after(() => server?.stop());
+
+    // Current value of the payments_total counter for a lifetime outcome
+    const countPayments = async (outcome) => {
+        const { body } = await server.request('GET', '/metrics');
+        const match = body.match(new RegExp(`^payments_total\\{product="lifetime",outcome="${outcome}"\\} (\\d+)$`, 'm'));
+        return match ? Number(match[1]) : 0;
+    };
+
+    it('creates a pending payment for the lifetime product', async () => {
+        const { status, body } = await server.request('POST', '/api/create-payment', {
+            token: parent.token,
+            body: { productId: 'lifetime' }
+        });
+
+        assert.equal(status, 200);
+        assert.match(body.paymentIntentId, /^pi_local_/);
+        assert.equal(body.status, 'requires_payment_method');
+        assert.equal(body.amount, 999);
+        paymentIntentId = body.paymentIntentId;
+    });
+
+    it('does not let another user simulate the payment', async () => {
+        const stranger = await register(server.request, { userEmail: 'stranger@kidtok.test' });
+        const { status } = await server.request('POST', `/api/local-payments/${paymentIntentId}/simulate`, {
+            token: stranger.token,
+            body: { outcome: 'succeeded' }
+        });
+
+        assert.equal(status, 403);
+    });
+
+    it('keeps premium locked after a failed payment', async () => {
+        const { status, body } = await server.request('POST', `/api/local-payments/${paymentIntentId}/simulate`, {
+            token: parent.token,
+            body: { outcome: 'failed' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.transactionStatus, 'failed');
+        assert.equal(body.isPremium, false);
+    });
+
+    it('unlocks premium once the payment succeeds', async () => {
+        const simulated = await server.request('POST', `/api/local-payments/${paymentIntentId}/simulate`, {
+            token: parent.token,
+            body: { outcome: 'succeeded' }
+        });
+        assert.equal(simulated.status, 200);
+        assert.equal(simulated.body.transactionStatus, 'completed');
+
+        const { body } = await server.request('GET', '/api/auth/me', { token: parent.token });
+        assert.equal(body.entitlements.isPremium, true);
+        assert.equal(body.entitlements.tier, 'premium');
+    });
+
+    it('refuses to sell premium twice', async () => {
+        const { status, body } = await server.request('POST', '/api/create-payment', {
+            token: parent.token,
+            body: { productId: 'lifetime' }
+        });
+
+        assert.equal(status, 409);
+        assert.equal(body.type, 'already_owned');
+    });
+
+    it('keeps premium after a partial refund and revokes it after a full refund', async () => {
+        const partial = await server.request('POST', `/api/admin/transactions/${paymentIntentId}/refund`, {
+            token: admin.token,
+            body: { amount: 300 }
+        });
+        assert.equal(partial.status, 200);
+        assert.equal(partial.body.transaction.status, 'partially_refunded');
+        assert.equal(partial.body.transaction.refundedAmount, 300);
+        assert.equal(await countPayments('partially_refunded'), 1, 'the route and the webhook count the refund once');
+        assert.equal((await server.request('GET', '/api/auth/me', { token: parent.token })).body.entitlements.isPremium, true);
+
+        const full = await server.request('POST', `/api/admin/transactions/${paymentIntentId}/refund`, {
+            token: admin.token,
+            body: {}
+        });
+        assert.equal(full.status, 200);
+        assert.equal(full.body.transaction.status, 'refunded');
+        assert.equal(full.body.transaction.refundedAmount, 999);
+        assert.equal(await countPayments('refunded'), 1);
+        assert.equal(await countPayments('partially_refunded'), 1);
+        assert.equal((await server.request('GET', '/api/auth/me', { token: parent.token })).body.entitlements.isPremium, false);
+    });
+});
+
+describe('monthly subscription (PAYMENT_PROVIDER=local)', () => {
+    let server;
+    let parent;
+    let admin;
+
+    before(async () => {
+        server = await startServer();
+        parent = await register(server.request, { userEmail: 'subscriber@kidtok.test' });
+        admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+    });
+
+    after(() => server?.stop());
+
+    it('unlocks premium once the first invoice is paid and ends it on a full refund', async () => {
+        const created = await server.request('POST', '/api/create-payment', { token: parent.token, body: { productId: 'monthly' } });
+        assert.equal(created.status, 200);
+        const { subscriptionId } = created.body;
+        assert.match(subscriptionId, /^sub_local_/);
+
+        const paid = await server.request('POST', `/api/local-payments/${subscriptionId}/simulate`, {
+            token: parent.token,
+            body: { outcome: 'succeeded' }
+        });
+        assert.equal(paid.status, 200);
+        assert.equal(paid.body.isPremium, true);
+
+        const account = (await server.request('GET', `/api/user/${parent.user.userId}`, { token: parent.token })).body;
+        const [transaction] = account.transactions;
+        assert.equal(transaction.purchaseType, 'monthly');
+        assert.equal(transaction.subscriptionId, subscriptionId);
+
+        const refunded = await server.request('POST', `/api/admin/transactions/${transaction.paymentIntentId}/refund`, {
+            token: admin.token,
+            body: {}
+        });
+        assert.equal(refunded.status, 200);
+        assert.equal(refunded.body.transaction.status, 'refunded');
+
+        const after = (await server.request('GET', `/api/user/${parent.user.userId}`, { token: parent.token })).body;
+        assert.equal(after.summary.isPremium, false);
+        assert.equal(after.subscriptions.find(subscription => subscription.subscriptionId === subscriptionId).status, 'canceled');
+        assert.equal((await server.request('GET', '/api/auth/me', { token: parent.token })).body.entitlements.isPremium, false);
+    });
+});
+
+describe('disputed subscription payment (PAYMENT_PROVIDER=local)', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server?.stop());
+
+    // Subscribe to the monthly plan and pay the first invoice
+    const subscribe = async (userEmail) => {
+        const parent = await register(server.request, { userEmail });
+        const created = await server.request('POST', '/api/create-payment', { token: parent.token, body: { productId: 'monthly' } });
+        const { subscriptionId } = created.body;
+        await server.request('POST', `/api/local-payments/${subscriptionId}/simulate`, { token: parent.token, body: { outcome: 'succeeded' } });
+        return { parent, subscriptionId };
+    };
+
+    // Give the subscription's first payment another outcome and return the buyer's entitlements
+    const simulate = async (parent, subscriptionId, outcome) => {
+        const simulated = await server.request('POST', `/api/local-payments/${subscriptionId}/simulate`, { token: parent.token, body: { outcome } });
+        assert.equal(simulated.status, 200);
+        return (await server.request('GET', '/api/auth/me', { token: parent.token })).body.entitlements;
+    };
+
+    it('revokes the subscription premium while a payment is disputed and restores it until the period end when won', async () => {
+        const { parent, subscriptionId } = await subscribe('disputed@kidtok.test');
+
+        const disputed = await simulate(parent, subscriptionId, 'disputed');
+        assert.equal(disputed.isPremium, false);
+
+        const won = await simulate(parent, subscriptionId, 'dispute_won');
+        assert.equal(won.isPremium, true);
+        assert.equal(won.entitlements.length, 1);
+
+        // Restored under the subscription, expiring with its paid period (never as lifetime premium)
+        const [entitlement] = won.entitlements;
+        const account = (await server.request('GET', `/api/user/${parent.user.userId}`, { token: parent.token })).body;
+        const subscription = account.subscriptions.find(s => s.subscriptionId === subscriptionId);
+        assert.equal(entitlement.sourceId, subscriptionId);
+        assert.equal(entitlement.expiresAt, subscription.currentPeriodEnd);
+        assert.ok(entitlement.expiresAt);
+    });
+
+    it('keeps the subscription premium revoked when the dispute is lost', async () => {
+        const { parent, subscriptionId } = await subscribe('lost@kidtok.test');
+
+        const lost = await simulate(parent, subscriptionId, 'dispute_lost');
+        assert.equal(lost.isPremium, false);
+        assert.deepEqual(lost.entitlements, []);
+    });
+});
+
+describe('parallel payment requests (PAYMENT_PROVIDER=local)', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server?.stop());
+
+    // Run a statement against the test server's database
+    const runSql = (sql, ...params) => {
+        const db = new Database(server.databasePath);
+        try {
+            return db.prepare(sql)[sql.startsWith('SELECT') ? 'all' : 'run'](...params);
+        } finally {
+            db.close();
+        }
+    };
+
+    const createPayment = (parent) => server.request('POST', '/api/create-payment', { token: parent.token, body: { productId: 'lifetime' } });
+
+    it('creates a single payment when the same purchase is sent twice at once', async () => {
+        const parent = await register(server.request, { userEmail: 'double-tap@kidtok.test' });
+        const responses = await Promise.all([createPayment(parent), createPayment(parent)]);
+
+        // Each request either gets the one payment or is told to retry
+        const created = responses.filter(response => response.status === 200);
+        assert.ok(created.length >= 1);
+        assert.ok(responses.every(response => response.status === 200 || response.body.type === 'payment_in_progress'));
+        assert.equal(new Set(created.map(response => response.body.paymentIntentId)).size, 1);
+
+        const stored = runSql('SELECT payment_intent_id FROM transactions WHERE user_id = ?', parent.user.userId);
+        assert.equal(stored.length, 1);
+
+        // The reservation is given back, so the next request reuses the open payment
+        const again = await createPayment(parent);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.paymentIntentId, stored[0].payment_intent_id);
+    });
+
+    it('asks a request to retry while another one holds the reservation', async () => {
+        const parent = await register(server.request, { userEmail: 'waiting@kidtok.test' });
+        runSql('INSERT INTO payment_reservations (user_id, product_id, reserved_at) VALUES (?, ?, ?)',
+            parent.user.userId, 'lifetime', new Date().toISOString());
+
+        const { status, headers, body } = await createPayment(parent);
+        assert.equal(status, 409);
+        assert.equal(body.type, 'payment_in_progress');
+        assert.equal(headers.get('retry-after'), '1');
+
+        // Other products are not held up
+        assert.equal((await server.request('POST', '/api/create-payment', { token: parent.token, body: { productId: 'monthly' } })).status, 200);
+    });
+
+    it('takes over a reservation left behind by a request that never finished', async () => {
+        const parent = await register(server.request, { userEmail: 'stale@kidtok.test' });
+        runSql('INSERT INTO payment_reservations (user_id, product_id, reserved_at) VALUES (?, ?, ?)',
+            parent.user.userId, 'lifetime', new Date(Date.now() - 10 * 60 * 1000).toISOString());
+
+        const first = await createPayment(parent);
+        assert.equal(first.status, 200);
+        const again = await createPayment(parent);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.paymentIntentId, first.body.paymentIntentId);
+    });
+});
@@ -0,0 +1,87 @@
+// End-to-end privacy requests: what is left of a family after profiles and accounts are deleted
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, register } = require('./helpers');
+
+describe('child profile deletion', () => {
+    let server;
+    let parent;
+
+    before(async () => {
+        server = await startServer();
+        parent = await register(server.request, { userEmail: 'parent@kidtok.test' });
+    });
+
+    after(() => server?.stop());
+
+    it('erases the profile\'s watch history, usage and limits with it', async () => {
+        const { userId } = parent.user;
+        const profile = await server.request('POST', `/api/user/${userId}/profiles`, { token: parent.token, body: { name: 'Kid' } });
+        const { profileId } = profile.body;
+
+        const limits = await server.request('PUT', `/api/user/${userId}/screen-time`, {
+            token: parent.token,
+            body: { profileId: profileId, dailyMinutes: 60 }
+        });
+        assert.equal(limits.status, 200);
+        for (const event of ['start', 'progress']) {
+            const watched = await server.request('POST', '/api/watch-events', {
+                token: parent.token,
+                body: { profileId: profileId, videoId: 'kidtok/clip', event: event, position: event === 'start' ? 0 : 3 }
+            });
+            assert.equal(watched.status, 200);
+        }
+
+        const before = (await server.request('GET', `/api/user/${userId}/export`, { token: parent.token })).body;
+        assert.equal(before.watchHistory.length, 1);
+        assert.ok(before.screenTimeUsage.find(usage => usage.profileId === profileId).days.length > 0);
+
+        const deleted = await server.request('DELETE', `/api/user/${userId}/profiles/${profileId}`, { token: parent.token });
+        assert.equal(deleted.status, 204);
+
+        const after = (await server.request('GET', `/api/user/${userId}/export`, { token: parent.token })).body;
+        assert.deepEqual(after.watchHistory, []);
+        assert.deepEqual(after.screenTimeLimits, []);
+        assert.ok(!after.screenTimeUsage.some(usage => usage.profileId === profileId));
+    });
+});
+
+describe('account deletion with a paid purchase', () => {
+    // Keep the local payment provider's state in a file so the test can see what it holds
+    const paymentsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kidtok-payments-')), 'payments.json');
+    let server;
+    let parent;
+
+    before(async () => {
+        server = await startServer({ LOCAL_PAYMENTS_FILE: paymentsFile });
+        parent = await register(server.request, { userName: 'Pat Parent', userEmail: 'pat@kidtok.test' });
+    });
+
+    after(async () => {
+        await server?.stop();
+        fs.rmSync(path.dirname(paymentsFile), { recursive: true, force: true });
+    });
+
+    it('removes the buyer\'s name and email from the payment and its charge', async () => {
+        const payment = await server.request('POST', '/api/create-payment', { token: parent.token, body: { productId: 'lifetime' } });
+        const { paymentIntentId } = payment.body;
+        await server.request('POST', `/api/local-payments/${paymentIntentId}/simulate`, { token: parent.token, body: { outcome: 'succeeded' } });
+
+        const deleted = await server.request('DELETE', `/api/user/${parent.user.userId}`, { token: parent.token });
+        assert.equal(deleted.status, 200);
+        assert.equal(deleted.body.stripe.charges, 1);
+
+        const state = JSON.parse(fs.readFileSync(paymentsFile, 'utf8'));
+        const paymentIntent = state.paymentIntents[paymentIntentId];
+        const charge = state.charges[paymentIntent.latest_charge];
+        for (const object of [paymentIntent, charge]) {
+            assert.equal(object.receipt_email, null);
+            assert.doesNotMatch(object.description, /Pat Parent/);
+        }
+    });
+});
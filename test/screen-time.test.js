@@ -0,0 +1,88 @@
+// End-to-end screen-time limits on the feed and playback
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ADMIN_EMAIL, startServer, register, uploadApprovedVideo } = require('./helpers');
+
+describe('used-up daily budget', () => {
+    let server;
+    let parent;
+    let videoId;
+
+    before(async () => {
+        server = await startServer();
+        const admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+        parent = await register(server.request, { userEmail: 'parent@kidtok.test' });
+        videoId = await uploadApprovedVideo(server.request, admin.token, { title: 'Free clip' });
+
+        const limits = await server.request('PUT', `/api/user/${parent.user.userId}/screen-time`, {
+            token: parent.token,
+            body: { dailyMinutes: 0 }
+        });
+        assert.equal(limits.status, 200);
+    });
+
+    after(() => server?.stop());
+
+    it('blocks the feed and playback for the household', async () => {
+        const feed = await server.request('GET', '/api/videos', { token: parent.token });
+        assert.equal(feed.status, 403);
+        assert.equal(feed.body.error, 'limit_reached');
+
+        const play = await server.request('GET', `/api/videos/${encodeURIComponent(videoId)}/play`, { token: parent.token });
+        assert.equal(play.status, 403);
+        assert.equal(play.body.error, 'limit_reached');
+    });
+
+    it('cannot be skipped by dropping the token', async () => {
+        assert.equal((await server.request('GET', '/api/videos')).status, 401);
+        assert.equal((await server.request('GET', '/api/videos/search?q=clip')).status, 401);
+        assert.equal((await server.request('GET', `/api/videos/${encodeURIComponent(videoId)}/play`)).status, 401);
+    });
+});
+
+describe('screen time of a child profile', () => {
+    let server;
+    let parent;
+    let profileId;
+    let videoId;
+
+    before(async () => {
+        server = await startServer();
+        const admin = await register(server.request, { userName: 'Admin', userEmail: ADMIN_EMAIL });
+        parent = await register(server.request, { userEmail: 'family@kidtok.test' });
+        videoId = await uploadApprovedVideo(server.request, admin.token, { title: 'Free clip' });
+
+        const profile = await server.request('POST', `/api/user/${parent.user.userId}/profiles`, { token: parent.token, body: { name: 'Kid' } });
+        profileId = profile.body.profileId;
+
+        const limits = await server.request('PUT', `/api/user/${parent.user.userId}/screen-time`, {
+            token: parent.token,
+            body: { profileId: profileId, dailyMinutes: 0 }
+        });
+        assert.equal(limits.status, 200);
+    });
+
+    after(() => server?.stop());
+
+    it('blocks the feed and playback for the profile', async () => {
+        const feed = await server.request('GET', `/api/videos?profileId=${profileId}`, { token: parent.token });
+        assert.equal(feed.status, 403);
+        assert.equal(feed.body.error, 'limit_reached');
+
+        const play = await server.request('GET', `/api/videos/${encodeURIComponent(videoId)}/play?profileId=${profileId}`, { token: parent.token });
+        assert.equal(play.status, 403);
+        assert.equal(play.body.error, 'limit_reached');
+    });
+
+    it('cannot be skipped by leaving the profile out', async () => {
+        assert.equal((await server.request('GET', '/api/videos', { token: parent.token })).status, 400);
+        assert.equal((await server.request('GET', '/api/videos/search?q=clip', { token: parent.token })).status, 400);
+        assert.equal((await server.request('GET', `/api/videos/${encodeURIComponent(videoId)}/play`, { token: parent.token })).status, 400);
+        assert.equal((await server.request('POST', '/api/watch-events', {
+            token: parent.token,
+            body: { videoId: videoId, event: 'start' }
+        })).status, 400);
+    });
+});